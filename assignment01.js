@@ -12,428 +12,3794 @@
  */
 const scene = new THREE.Scene();
 const camera = new THREE.PerspectiveCamera(50, window.innerWidth / window.innerHeight, 0.01, 2000);
-const renderer = new THREE.WebGLRenderer({ antialias: true });
+const renderer = new THREE.WebGLRenderer({ antialias: true, logarithmicDepthBuffer: true });
 const clock = new THREE.Clock();
+const textureLoader = new THREE.TextureLoader();
 const celestialBodies = [];
-const stars = [];
+const celestialBodyMap = new Map();
+const belts = [];
+const measurements = [];
+let simulation;
+let starfield;
+let bodyLabels;
+let dateDisplay;
+let datePicker;
+let selectedBody;
+let selectionOutline;
+let infoPanel;
+let cameraFocus;
+let eclipseNotice;
+let physicsPanel;
+let measurementPanel;
+let liveRegion;
+let helpOverlay;
+let tourCaption;
+let tourPlayback;
+let gui;
+let scaleTransition;
+let videoRecording;
+let videoCodec;
 
 /**
- * Max Number of Stars.
+ * Starfield properties. The stars lie around the camera, at the sky radius, with magnitudes down to the faintest
+ * one and temperatures (in Kelvin) between the coolest and the hottest ones. There are the default number of stars
+ * at first, and up to the maximum.
  */
-const NUM_STARS = 100;
-const RANGE_X_Z = [-200, 200];
-const RANGE_Y = [-75, 75];
+const NUM_STARS = 30000;
+const MAX_STARS = 100000;
+const STARFIELD_RADIUS = 1000;
+const FAINTEST_MAGNITUDE = 8;
+const BRIGHTEST_MAGNITUDE = -1.5;
+const STAR_TEMPERATURES = [2500, 30000];
+
+/**
+ * Starfield distributions. Stars lie on the sky sphere, on the faces of a sky box or mostly on a band around the
+ * galactic plane, with the band's fraction of the stars spread around it by the band width (in degrees). The
+ * galactic north pole is given in ecliptic coordinates, in degrees. The brightness multiplies the stars' colors
+ * and sizes, between the given limits.
+ */
+const STAR_DISTRIBUTIONS = ['Shell', 'Box', 'Galactic Band'];
+const GALACTIC_BAND_FRACTION = 0.7;
+const GALACTIC_BAND_WIDTH = 8;
+const GALACTIC_POLE = { longitude: 180.02, latitude: 29.81 };
+const STAR_BRIGHTNESS = [0.2, 3];
+
+/**
+ * Time constants. The frame time is used when stepping the simulation a single frame.
+ */
+const FRAME_TIME = 1 / 60;
+const { Simulation, HOURS_PER_DAY, orbitalPosition, seededRandom, deriveSeed } = SolarSimulation;
+
+/**
+ * Selection constants. Clicks moving more than the tolerance (in pixels) are drags, not selections.
+ */
+const CLICK_TOLERANCE = 5;
+const OUTLINE_SCALE = 1.15;
+
+/**
+ * Camera constants. The focused body is viewed from a distance proportional to its radius, never closer than the
+ * minimum distance (in near plane distances), and the camera takes the flight duration (in seconds) to get there.
+ */
+const CAMERA_POSITION = new THREE.Vector3(-100, 50, 35);
+const FOCUS_DISTANCE = 6;
+const MIN_FOCUS_DISTANCE = 200;
+const FLIGHT_DURATION = 1.5;
+const SCENE_CENTER = 'Scene Center';
+
+/**
+ * Keyboard constants. The speed keys multiply or divide the time scale by the speed step, the arrow keys orbit the
+ * camera by the orbit step (in degrees) and the number keys focus the bodies declared first, the Sun on 0. The
+ * bindings are listed on the help overlay.
+ */
+const SPEED_STEP = 1.5;
+const KEY_ORBIT_STEP = 5;
+const KEY_BINDINGS = [
+    ['Space', 'Pause / resume the bodies'],
+    ['+ / -', 'Speed up / slow down the time'],
+    ['0 - 9', 'Focus on the Sun, the planets and Pluto'],
+    ['W', 'Toggle the wireframe'],
+    ['Arrows', 'Orbit the camera'],
+    ['M', 'Toggle the reduced motion'],
+    ['H / ?', 'Show / hide this help'],
+    ['Esc', 'Clear the selection, stop the tour and close this help']
+];
+
+/**
+ * Tour constants. Steps take the flight time to fly the camera to their view, then hold it (in seconds), unless
+ * they set their own times. Recorded steps get these times, and the camera's up direction eases to the scene's up
+ * direction on every flight.
+ */
+const TOUR_FLIGHT = 3;
+const TOUR_HOLD = 5;
+const TOUR_UP = new THREE.Vector3(0, 1, 0);
+const recordedTour = { name: 'Recorded Tour', steps: [] };
+
+/**
+ * Movement constants. The days per second and the multipliers of the planets', moons' and spins' speeds are set
+ * in the given ranges.
+ */
+const TIME_SCALES = [0.1, 365];
+const PLANET_SPEEDS = [1, 25];
+const MOON_SPEEDS = [1, 10];
+const SPIN_SPEEDS = [0, 1];
+
+/**
+ * Physics constants. The perturbed body's mass is multiplied by a factor in the given range, which never reaches
+ * zero, as the bodies around it need its gravity.
+ */
+const MASS_FACTORS = [0.1, 10];
+
+/**
+ * Permalink constants. Links are only restored by the version that saved them, with numbers rounded to the given
+ * significant digits.
+ */
+const PERMALINK_VERSION = 1;
+const PERMALINK_PRECISION = 8;
+
+/**
+ * Checks of the scene properties restored from permalinks, by property, so links edited by hand can't break the
+ * scene. Restored properties must have the same type as the current ones and pass their checks, if any, or they
+ * keep their current values. Numbers are checked against their GUI ranges.
+ */
+const PERMALINK_CHECKS = {
+    timeScale: (scale) => isInRange(scale, TIME_SCALES),
+    planetSpeed: (speed) => isInRange(speed, PLANET_SPEEDS),
+    moonSpeed: (speed) => isInRange(speed, MOON_SPEEDS),
+    spinSpeed: (speed) => isInRange(speed, SPIN_SPEEDS),
+    numberOfStars: (count) => Number.isInteger(count) && isInRange(count, [0, MAX_STARS]),
+    starDistribution: (distribution) => STAR_DISTRIBUTIONS.includes(distribution),
+    starBrightness: (brightness) => isInRange(brightness, STAR_BRIGHTNESS),
+    orbitColor: (color) => /^#[0-9a-f]{6}$/i.test(color),
+    trailColor: (color) => /^#[0-9a-f]{6}$/i.test(color),
+    trailLength: (length) => isInRange(length, TRAIL_LENGTHS),
+    shadowQuality: (quality) => Object.keys(SHADOW_QUALITIES).includes(quality),
+    scaleMode: (mode) => Object.keys(CAMERA_PLANES).includes(mode),
+    seed: (seed) => isValidSeed(seed),
+    perturbedBody: (name) => simulation.bodyMap.has(name),
+    massFactor: (factor) => isInRange(factor, MASS_FACTORS),
+    measureFrom: (name) => celestialBodyMap.has(name),
+    measureTo: (name) => celestialBodyMap.has(name),
+    captureResolution: (resolution) => Object.keys(CAPTURE_RESOLUTIONS).includes(resolution),
+    videoFrameRate: (rate) => VIDEO_FRAME_RATES.includes(rate)
+};
 
 /**
  * Scene properties that will be controlled by DAT.GUI controls.
  */
 const sceneProps = {
     showBodyMovement: true,
-    planetSpeed: 2.5,
+    reverseTime: false,
+    timeScale: 30,
+    realPositions: false,
+    planetSpeed: 1,
     moonSpeed: 2.5,
-    numberOfStars: NUM_STARS
+    spinSpeed: 0.01,
+    numberOfStars: NUM_STARS,
+    starDistribution: 'Shell',
+    starBrightness: 1,
+    showOrbits: false,
+    orbitColor: '#3a5f8f',
+    showTrails: false,
+    trailColor: '#ffffff',
+    trailLength: 200,
+    shadowQuality: 'Medium',
+    scaleMode: 'Visual',
+    showPlanetLabels: true,
+    showDwarfLabels: true,
+    showCometLabels: true,
+    showMoonLabels: false,
+    seed: 0,
+    reducedMotion: false,
+    physics: false,
+    perturbedBody: 'Jupiter',
+    massFactor: 1,
+    measureFrom: 'Earth',
+    measureTo: 'Mars',
+    captureResolution: '4K (3840x2160)',
+    videoFrameRate: 30
 }
 
+/**
+ * Scale modes. The true scale has 1 unit for the given km, while the logarithmic one compresses the distances
+ * from the given base distance (in km) up. Each mode has its camera's near and far planes and switching between
+ * modes takes the transition time, in seconds.
+ */
+const SCALE_VISUAL = 'Visual';
+const SCALE_LOGARITHMIC = 'Logarithmic';
+const SCALE_TRUE = 'True';
+const KM_PER_UNIT = 1000000;
+const LOG_DISTANCE_SCALE = 60;
+const LOG_DISTANCE_BASE = 10000000;
+const SCALE_TRANSITION = 2;
+const CAMERA_PLANES = {
+    [SCALE_VISUAL]: { near: 0.01, far: 2000 },
+    [SCALE_LOGARITHMIC]: { near: 0.01, far: 2000 },
+    [SCALE_TRUE]: { near: 0.00001, far: 20000 }
+};
+
+/**
+ * Shadow constants. The qualities are the shadow map sizes, in pixels, and the distance is how far from the
+ * light emitting bodies shadows are cast. Point lights pack their six shadow faces side by side on a texture the
+ * given number of faces wide, so their maps are kept that many times smaller than the biggest texture. Shadows
+ * are either cast or not, so rings only cast them where they're at least as opaque as the given opacity.
+ */
+const SHADOW_QUALITIES = { Off: 0, Low: 512, Medium: 1024, High: 2048, Ultra: 4096 };
+const POINT_SHADOW_FACES = 4;
+const RING_SHADOW_OPACITY = 0.5;
+const SHADOW_DISTANCE = 1000;
+
+/**
+ * Label constants. Each body type has the scene property showing its labels and a priority, higher priority labels
+ * being kept when labels overlap. Moon labels fade out from a distance proportional to their orbit size and the
+ * other labels from a fraction of the camera's far plane, fading over the last part of that distance. Labels are
+ * shown beside their bodies, at the offset in pixels.
+ */
+const LABEL_CATEGORIES = {
+    star: { property: 'showPlanetLabels', priority: 3 },
+    planet: { property: 'showPlanetLabels', priority: 2 },
+    dwarf: { property: 'showDwarfLabels', priority: 1 },
+    comet: { property: 'showCometLabels', priority: 1 },
+    moon: { property: 'showMoonLabels', priority: 0 }
+};
+const MOON_LABEL_DISTANCE = 40;
+const LABEL_DISTANCE = 0.5;
+const LABEL_FADE = 0.4;
+const LABEL_OFFSET = 8;
+
+/**
+ * Capture constants. Screenshots are rendered offscreen at one of the resolutions, shrunk to the largest size the
+ * GPU supports, and videos are recorded at one of the frame rates and bitrate. Videos are encoded frame by frame on
+ * the first supported codec, with a key frame every interval, in seconds, and the encoder is given time to catch up
+ * when it has queued too many frames. Browsers without video encoders record on the first supported type instead.
+ */
+const CAPTURE_RESOLUTIONS = {
+    'Full HD (1920x1080)': [1920, 1080],
+    '2K (2560x1440)': [2560, 1440],
+    '4K (3840x2160)': [3840, 2160],
+    '8K (7680x4320)': [7680, 4320]
+};
+const VIDEO_FRAME_RATES = [24, 30, 60];
+const VIDEO_BITRATE = 16000000;
+const VIDEO_CODECS = [{ encoder: 'vp09.00.51.08', muxer: 'V_VP9' }, { encoder: 'vp8', muxer: 'V_VP8' }];
+const VIDEO_KEY_FRAME_INTERVAL = 2;
+const VIDEO_MAX_QUEUE = 4;
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Random constants. Procedural textures are seeded by their body's name and the texture seed, so the bodies look
+ * the same whatever the system's seed. Seeds are unsigned 32 bit integers.
+ */
+const TEXTURE_SEED = 0;
+const MAX_SEED = 4294967295;
+
+/**
+ * Belt constants. Belts start at their declared counts and the default density, and rocks are drawn between the
+ * smallest and largest point sizes, in pixels.
+ */
+const MAX_BELT_COUNT = 20000;
+const BELT_DENSITY = 0.5;
+const ROCK_POINT_SIZES = [1, 16];
+
+/**
+ * Texture sizes in pixels. Procedural textures are twice as wide as they're high.
+ */
+const RING_TEXTURE_SIZE = 256;
+const PROCEDURAL_TEXTURE_SIZE = 128;
+
+/**
+ * Comet constants. The tail reaches its full length, in km, and brightness within the active distance, in km,
+ * and isn't drawn below the minimum activity. Its particles, sized in pixels, take the lifetime (in seconds) to
+ * stream down the tail, drifting sideways up to the spread, relative to the tail's length.
+ */
+const COMET_TAIL_COLOR = 0xcfe3ff;
+const COMET_TAIL_LENGTH = 50000000;
+const COMET_ACTIVE_DISTANCE = 150000000;
+const COMET_MIN_ACTIVITY = 0.005;
+const COMET_TAIL_PARTICLES = 600;
+const COMET_TAIL_SIZE = 2;
+const COMET_TAIL_LIFETIME = 2;
+const COMET_TAIL_SPREAD = 0.12;
+
+/**
+ * Measurement constants. Measurements are taken between the bodies' true positions, whatever scale they're drawn
+ * at, with light covering the given km per second. Separations are the angles between the bodies as seen from the
+ * observer. Each measurement's line takes one of the colors.
+ */
+const KM_PER_AU = 149597870.7;
+const SPEED_OF_LIGHT = 299792.458;
+const MEASUREMENT_OBSERVER = 'Earth';
+const MEASUREMENT_COLORS = [0xffd27f, 0x7fffd4, 0xff7fbf, 0x9fa8ff, 0xbfff7f];
+
+/**
+ * Orbit and trail constants. Orbits are drawn with a fixed number of segments and trails keep at most the
+ * given number of positions, their length being set in the given range.
+ */
+const ORBIT_SEGMENTS = 256;
+const MAX_TRAIL_LENGTH = 1000;
+const TRAIL_LENGTHS = [10, MAX_TRAIL_LENGTH];
+const orbitMaterial = new THREE.LineBasicMaterial({ color: sceneProps.orbitColor, transparent: true, opacity: 0.6 });
+const trailMaterial = new THREE.LineBasicMaterial({ vertexColors: THREE.VertexColors });
+
 /**
  * Celestial body base class that will be used to render bodies in the sky on the
  * solar system simulation. Bodies rendered by this class won't have any type of
- * movement in the sky
+ * movement in the sky. Each body sits on its pivot, which carries the pivots of its
+ * satellites, so hiding or moving a body does the same to its satellites.
  */
 class CelestialBody {
     /**
      * The constructor for the celestial bodies.
      * 
+     * @param {*} name       The body's name.
      * @param {*} radius     The body's radius.
      * @param {*} color      The body's color.
-     * @param {*} px         The body's position on x axis.
-     * @param {*} py         The body's position on y axis.
-     * @param {*} pz         The body's position on z axis.
+     * @param {*} model      The simulation body moving and spinning the body.
      * @param {*} emitsLight Flag indicating whether the body emits light.
-     * @param {*} isStar     Flag indicating whether the body is a start.
+     * @param {*} metadata   The body's description (type, real radius, period...), as declared on the solar system.
      */
-    constructor(radius, color, px, py, pz, emitsLight, isStar) {
+    constructor(name, radius, color, model, emitsLight, metadata = {}) {
         this.numberOfSegments = 25;
+        this.name = name;
         this.radius = radius;
         this.color = color;
-        this.px = px;
-        this.py = py;
-        this.pz = pz;
+        this.model = model;
+        this.position = sceneVector(model.position);
+        this.heightOffset = 0;
         this.emitsLight = emitsLight;
-        this.isStar = isStar;
+        this.metadata = metadata;
+        this.textureRandom = seededRandom(deriveSeed(TEXTURE_SEED, name));
+        this.obliquity = THREE.Math.degToRad(metadata.obliquity || 0);
         this.light = undefined;
         this.material = undefined;
+        this.rings = undefined;
         this.body = this.createBody();
+        this.pivot = new THREE.Object3D();
+        this.pivot.name = `${name} System`;
+        this.pivot.add(this.body);
+        if (this.light) {
+            this.pivot.add(this.light);
+        }
+        this.sync();
     }
 
     /**
      * Method that will create and render the celestial body in the screen.
      */
     createBody() {
-        const geometry = new THREE.SphereGeometry(this.radius, this.numberOfSegments, this.numberOfSegments)
-        this.material = new THREE.MeshLambertMaterial({
-            color: this.color,
-            emissive: (this.emitsLight ? this.color : 0x000000)
-        });
+        const geometry = new THREE.SphereGeometry(1, this.numberOfSegments, this.numberOfSegments)
+        this.material = this.createMaterial(this.metadata.material || {});
         const body = new THREE.Mesh(geometry, this.material);
-        body.position.set(this.px, this.py, this.pz);
+        body.scale.setScalar(this.radius);
+        body.name = this.name;
+        body.userData.celestialBody = this;
 
-        // Checks for light emission.
+        // Checks for light emission. Bodies emitting light cast the shadows of the others, starting past their surface.
         if (this.emitsLight) {
-            this.light = new THREE.PointLight(0xffffff, 1, this.isStar ? 100 : 0, this.isStar ? 5 : 2);
-            this.light.position.set(this.px, this.py, this.pz);
+            this.light = new THREE.PointLight(0xffffff, 1, 0, 2);
+            this.light.castShadow = SHADOW_QUALITIES[sceneProps.shadowQuality] > 0;
+            this.light.shadow.mapSize.setScalar(shadowMapSize(sceneProps.shadowQuality) || 1);
+            this.light.shadow.camera.near = this.radius;
+            this.light.shadow.camera.far = SHADOW_DISTANCE;
+            this.light.shadow.bias = -0.001;
+        } else {
+            body.castShadow = true;
+            body.receiveShadow = true;
+        }
+
+        // Checks for rings, which tilt with the body.
+        if (this.metadata.rings) {
+            this.rings = this.createRings(this.metadata.rings);
+            body.add(this.rings);
         }
 
         return body;
     }
-}
 
-/**
- * Class that will created an orbiting celestial body in the sky. An orbiting celestial body
- * will have a circular orbit around a parent celestial body and will folow this body wherever
- * it goes.
- */
-class OrbitingCelestialBody extends CelestialBody {
     /**
-     * Constructor for orbiting celestial bodies.
+     * Method that will create the body's material. Bodies start with a procedural texture, replaced by their texture
+     * maps as soon as they load. Bodies emitting light use their texture as the emission map, while the others are
+     * lit with bump, specular and night lights maps when available.
      * 
-     * @param {*} radius             The body's radius.
-     * @param {*} color              The body's color.
-     * @param {*} orbitRadius        The body's orbit radius.
-     * @param {*} orbitedBody        The orbited body.
-     * @param {*} referenceOrbitTime The reference orbit time used to calculate the time proportion for the orbit
-     * @param {*} bodyOrbitTime      The body's orbit time
-     * @param {*} isMoon             Flag indicating whether the body is a moon.
+     * @param {*} description The material description, with the texture maps' URLs.
      */
-    constructor(radius, color, orbitRadius, orbitedBody, referenceOrbitTime, bodyOrbitTime, isMoon) {
-        super(
-            radius,
-            color,
-            orbitRadius + orbitedBody.px,
-            isMoon ? (-0.5 + Math.random()) * orbitedBody.radius + 2 * radius + 0.1 : 0,
-            orbitRadius + orbitedBody.pz,
-            false
-        );
+    createMaterial(description) {
+        const procedural = proceduralTexture(description.procedural || 'rocky', this.color, this.textureRandom);
 
-        const random = Math.random();
-        const signal = random < 0.50 ? -1 : 1;
+        if (this.emitsLight) {
+            const material = new THREE.MeshLambertMaterial({ color: this.color, emissive: 0xffffff, emissiveMap: procedural });
+            loadTexture(description.map, (texture) => material.emissiveMap = texture, material);
+            return material;
+        }
 
-        this.orbitRadius = orbitRadius;
-        this.orbitedBody = orbitedBody;
-        this.bodyOrbitTime = bodyOrbitTime / referenceOrbitTime;
-        this.angle = isMoon ? 2 * Math.PI * signal * Math.random() : 0;
-        this.delta = 2 * Math.PI / 360;
-        this.isMoon = isMoon;
+        const material = new THREE.MeshPhongMaterial({
+            map: procedural,
+            specular: 0x111111,
+            shininess: description.shininess || 5,
+            bumpScale: description.bumpScale || 0.01
+        });
+        loadTexture(description.map, (texture) => material.map = texture, material);
+        loadTexture(description.bumpMap, (texture) => material.bumpMap = texture, material);
+        loadTexture(description.specularMap, (texture) => {
+            material.specularMap = texture;
+            material.specular.set(0x333333);
+        }, material);
+
+        // The night lights only shine on the side of the body the sun doesn't light. The direct light is divided by
+        // the surface color, so dark oceans in sunlight don't count as night.
+        if (description.nightMap) {
+            material.onBeforeCompile = (shader) => {
+                shader.fragmentShader = shader.fragmentShader.replace(
+                    '+ totalEmissiveRadiance;',
+                    '+ totalEmissiveRadiance * (1.0 - smoothstep(0.0, 0.15, ' +
+                    'length(reflectedLight.directDiffuse / max(diffuseColor.rgb, vec3(0.01)))));'
+                );
+            };
+            loadTexture(description.nightMap, (texture) => {
+                material.emissiveMap = texture;
+                material.emissive.set(0xffffff);
+            }, material);
+        }
+
+        return material;
+    }
+
+    /**
+     * Method that will create a semi-transparent ring system around the body, on its equator plane. The ring
+     * texture has random bands, denser towards the middle of the rings, which cast shadows where they're opaque
+     * enough. The rings are sized in body radii, as they're scaled with the body.
+     * 
+     * @param {*} rings The rings description, with the inner and outer radius in km, color and opacity.
+     */
+    createRings(rings) {
+        const innerRadius = rings.innerRadius / this.metadata.radius;
+        const outerRadius = rings.outerRadius / this.metadata.radius;
+        const geometry = new THREE.RingBufferGeometry(innerRadius, outerRadius, 128, 1);
+
+        // Maps the texture's x coordinate to the distance from the inner radius, so the bands are circular.
+        const positions = geometry.attributes.position;
+        const uvs = geometry.attributes.uv;
+        for (let i = 0; i < positions.count; i++) {
+            const distance = Math.hypot(positions.getX(i), positions.getY(i));
+            uvs.setXY(i, (distance - innerRadius) / (outerRadius - innerRadius), 0.5);
+        }
+
+        // Paints the bands on a one pixel high canvas.
+        const canvas = document.createElement('canvas');
+        canvas.width = RING_TEXTURE_SIZE;
+        canvas.height = 1;
+        const context = canvas.getContext('2d');
+        const color = new THREE.Color(rings.color);
+        for (let x = 0; x < RING_TEXTURE_SIZE; x++) {
+            const density = Math.sin(Math.PI * x / RING_TEXTURE_SIZE) * (0.4 + 0.6 * this.textureRandom());
+            context.fillStyle = `rgba(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)}, ${density})`;
+            context.fillRect(x, 0, 1, 1);
+        }
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.MeshLambertMaterial({
+            map: texture,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: rings.opacity,
+            depthWrite: false
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.receiveShadow = true;
+
+        // The shadows are cast by the bands opaque enough, leaving the faint rings without any.
+        const shadowTest = RING_SHADOW_OPACITY / rings.opacity;
+        mesh.castShadow = shadowTest < 1;
+        if (mesh.castShadow) {
+            mesh.customDistanceMaterial = new THREE.MeshDistanceMaterial({ map: texture, alphaTest: shadowTest });
+        }
+        return mesh;
     }
 
     /**
-     * Method that will update the orbiting body position based on SIN and COS functions and the
-     * position of the orbiting's body.
+     * Method that will set the body's sizes on each scale mode.
+     * 
+     * @param {*} scales The radius, orbit semi-major axis and moon height factor for each scale mode.
      */
-    updatePosition() {
-        this.angle += this.delta / this.bodyOrbitTime * (this.isMoon ? sceneProps.moonSpeed : sceneProps.planetSpeed);
-        this.px = Math.cos(this.angle) * this.orbitRadius + this.orbitedBody.px;
-        this.pz = Math.sin(this.angle) * this.orbitRadius + this.orbitedBody.pz;
-        this.body.position.set(this.px, this.py, this.pz);
+    setScales(scales) {
+        this.scales = scales;
     }
-}
 
-/**
- * Body indexes.
- */
-const SUN_IDX = 0;
-const MERCURY_IDX = 1;
-const VENUS_IDX = 2;
-const EARTH_IDX = 3;
-const MARS_IDX = 4;
-const JUPITER_IDX = 5;
-const SATURN_IDX = 6;
-const URANUS_IDX = 7;
-const NEPTUNE_IDX = 8;
-const PLUTO_IDX = 9;
-const EARTH_MOON_IDX = 10;
-const JUPITER_MOONS_IDX = 11;
-const SATURN_MOONS_IDX = 16;
+    /**
+     * Method that will size the body in between two scale modes, used while switching from one to the other.
+     * 
+     * @param {*} from   The scale mode being left.
+     * @param {*} to     The scale mode being entered.
+     * @param {*} weight How far the switch went, from 0 (from) to 1 (to).
+     */
+    applyScale(from, to, weight) {
+        this.radius = interpolateScale(this.scales[from].radius, this.scales[to].radius, weight);
+        this.body.scale.setScalar(this.radius);
 
-/**
- * Number of Moons per planet.
- */
-const EARTH_NUM_MOONS = 1;
-const JUPITER_NUM_MOONS = 5;
-const SATURN_NUM_MOONS = 3;
+        if (this.light) {
+            this.light.shadow.camera.near = this.radius;
+            this.light.shadow.camera.updateProjectionMatrix();
+        }
+    }
 
-/**
- * Radius correction proportions for the sun, small planets and big planets.
- * This corrections are applied, so all planets are visible on the screen. 
- */
-const SUN_PROP = 15;
-const MED_PLAN_PROP = 70;
-const BIG_PLAN_PROP = 40;
-const SML_PLAN_PROP = 150;
-const DWF_PLAN_PROP = 300;
+    /**
+     * Method that will move and spin the body to where its simulation body is. The ecliptic north points to the
+     * positive y axis on the scene, the body being raised by its height offset, and the body spins around its tilted
+     * axis, which keeps pointing to the same direction in space. The pivot is placed relative to the parent's pivot,
+     * which must already be in place.
+     */
+    sync() {
+        sceneVector(this.model.position, this.position).y += this.heightOffset;
+        this.pivot.position.copy(this.position);
+        if (this.orbitedBody) {
+            this.pivot.position.sub(this.orbitedBody.position);
+        }
+        this.body.rotation.set(0, this.model.spin, this.obliquity, 'ZYX');
+    }
 
-/**
- * Distance correction proportions, so all planets can be viewed in the same screen.
- * If the real proportions are followed, some planets will be very far from the sun.
- */
-const SML_DIST_PROP = 1.75;
-const MED_DIST_PROP = 2.75;
-const BIG_DIST_PROP = 4.25;
-const VBI_DIST_PROP = 5.25;
+    /**
+     * Method that will draw the body, and its rings if any, as a wireframe or as solid.
+     * 
+     * @param {*} wireframe Flag indicating whether the body is drawn as a wireframe.
+     */
+    setWireframe(wireframe) {
+        this.material.wireframe = wireframe;
+        if (this.rings) {
+            this.rings.material.wireframe = wireframe;
+        }
+    }
 
-/**
- * Planet radius based on sun's. There are some proportions as well so all planets are visible
- */
-const baseRadius = 695508;
-const sunRadius = SUN_PROP * 695508 / baseRadius;
-const mercuryRadius = SML_PLAN_PROP * 2440 / baseRadius;
-const venusRadius = SML_PLAN_PROP * 6052 / baseRadius;
-const earthRadius = SML_PLAN_PROP * 6371 / baseRadius;
-const marsRadius = SML_PLAN_PROP * 3397 / baseRadius;
-const jupiterRadius = BIG_PLAN_PROP * 71492 / baseRadius;
-const saturnRadius = BIG_PLAN_PROP * 60268 / baseRadius;
-const uranusRadius = MED_PLAN_PROP * 25559 / baseRadius;
-const neptuneRadius = MED_PLAN_PROP * 24766 / baseRadius;
-const plutoRadius = DWF_PLAN_PROP * 1185 / baseRadius;
-const moonRadius = plutoRadius / 1.25;
-const starRadius = 0.1;
+    /**
+     * Method that returns whether the body is shown: it and all the bodies it orbits, directly or not, aren't hidden.
+     */
+    isVisible() {
+        for (let object = this.pivot; object; object = object.parent) {
+            if (!object.visible) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Method that returns the body's state that can't be rebuilt from the solar system description, saved on the
+     * permalinks.
+     */
+    saveState() {
+        return { visible: this.pivot.visible, spin: roundNumber(this.model.spinAtEpoch) };
+    }
+
+    /**
+     * Method that will restore the body's state saved on a permalink.
+     * 
+     * @param {*} state The body's saved state.
+     */
+    restoreState(state) {
+        this.pivot.visible = state.visible !== false;
+        this.model.spinAtEpoch = Number(state.spin) || 0;
+    }
+}
 
 /**
- * Planet distances from the sun, calculated with with the above proportions for better
- * viewing of the planets on the screen.
+ * Converts ecliptic coordinates to scene coordinates. The ecliptic north points to the positive y axis on the scene.
+ * 
+ * @param {*} position The ecliptic coordinates (x, y, z).
+ * @param {*} target   The vector receiving the scene coordinates.
+ * @returns The scene coordinates as a THREE.Vector3.
  */
-const propDist = SUN_PROP + 2.5;
-const baseDist = 57900;
-const mercuryDist = propDist * 57900 / baseDist;
-const venusDist = propDist * 108160 / baseDist / 1.5;
-const earthDist = propDist * 149600 / baseDist / 1.5;
-const marsDist = propDist * 227937 / baseDist / 1.75;
-const jupterDist = propDist * 778369 / baseDist / 3.5;
-const saturnDist = propDist * 1427034 / baseDist / 4.5;
-const uranusDist = propDist * 2870658 / baseDist / 6.25;
-const neptuneDist = propDist * 4496976 / baseDist / 7.5;
-const plutoDist = propDist * 5906375 / baseDist / 8.25;
-const earthMoonDist = earthRadius + 1;
-const jupiterMoonDist = jupiterRadius + 1;
-const saturnMoonDist = saturnRadius + 1;
+function sceneVector(position, target = new THREE.Vector3()) {
+    return target.set(position.x, position.z, -position.y);
+}
 
 /**
- * Planet times in days to get around the sun. Those times will be used for calculating
- * the orbit time of each planet.
+ * Function that will load a texture map, keeping the procedural texture when the map is missing or can't be loaded.
+ * 
+ * @param {*} url      The texture map's URL. Nothing is loaded when it's undefined.
+ * @param {*} apply    Function applying the loaded texture to the material.
+ * @param {*} material The material using the texture, recompiled once the texture is applied.
  */
-const mercuryTime = 88;
-const venusTime = 224;
-const earthTime = 365.25;
-const marsTime = 687;
-const jupiterTime = 4332;
-const saturnTime = 10592;
-const uranusTime = 30681;
-const neptuneTime = 60193;
-const plutoTime = 90582;
-const earthMoonTime = 28;
-const jupiterMoonTime = 125;
-const saturnMoonTime = 78;
+function loadTexture(url, apply, material) {
+    if (!url) {
+        return;
+    }
+
+    textureLoader.load(url, (texture) => {
+        apply(texture);
+        material.needsUpdate = true;
+    }, undefined, () => console.warn(`Texture '${url}' could not be loaded, using a procedural texture instead.`));
+}
 
 /**
- * Initialization function. This function will perform the application's initial setup.
- * This will setup the renderer properties and the trackball controll.
+ * Function that creates a smooth random noise function, made of random values on a grid interpolated in between.
+ * The noise wraps around horizontally, so equirectangular textures don't have a seam.
+ * 
+ * @param {*} cellsX The number of grid cells on the x axis.
+ * @param {*} cellsY The number of grid cells on the y axis.
+ * @param {*} random The random number generator.
+ * @returns A function mapping texture coordinates (u, v) in [0, 1] to a noise value in [0, 1].
  */
-function init() {
-    // The renderer
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    renderer.setClearColor(new THREE.Color(0x000000));
-    renderer.setSize(window.innerWidth, window.innerHeight);
+function createNoise(cellsX, cellsY, random) {
+    const values = Array.from({ length: cellsX * (cellsY + 1) }, () => random());
+    const value = (i, j) => values[(i % cellsX) + j * cellsX];
 
-    // Appends the renderer DOM to the document body.
-    document.body.appendChild(renderer.domElement);
+    return (u, v) => {
+        const x = u * cellsX;
+        const y = v * cellsY;
+        const i = Math.floor(x);
+        const j = Math.min(Math.floor(y), cellsY - 1);
+        const fx = THREE.Math.smootherstep(x - i, 0, 1);
+        const fy = THREE.Math.smootherstep(y - j, 0, 1);
 
-    // Add Trackball Controls.
-    trackballControls = new THREE.TrackballControls(camera, renderer.domElement);
+        return THREE.Math.lerp(
+            THREE.Math.lerp(value(i, j), value(i + 1, j), fx),
+            THREE.Math.lerp(value(i, j + 1), value(i + 1, j + 1), fx),
+            fy
+        );
+    };
 }
 
 /**
- * Function that will set up the application's camera and extra lights. The sun's emission light is
- * done when creating the celestial objects. It's a constructor parameter.
+ * Function that will create a procedural texture from a base color. Banded textures have noisy horizontal bands,
+ * like gas giants, and rocky textures have noisy patches.
+ * 
+ * @param {*} type   The texture type, banded or rocky.
+ * @param {*} color  The base color.
+ * @param {*} random The random number generator.
  */
-function setupCameraAndLight() {
-    camera.position.set(-100, 50, 35);
-    camera.lookAt(scene.position);
+function proceduralTexture(type, color, random) {
+    const canvas = document.createElement('canvas');
+    canvas.width = PROCEDURAL_TEXTURE_SIZE * 2;
+    canvas.height = PROCEDURAL_TEXTURE_SIZE;
+
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(canvas.width, canvas.height);
+    const base = new THREE.Color(color);
+    const noise = createNoise(16, 8, random);
+    const detail = createNoise(64, 32, random);
+    const bands = createNoise(1, 24, random);
+
+    for (let y = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width; x++) {
+            const u = x / canvas.width;
+            const v = y / canvas.height;
+            const shade = type === 'banded'
+                ? 0.7 + 0.45 * bands(0, THREE.Math.clamp(v + 0.06 * (noise(u, v) - 0.5), 0, 1)) + 0.1 * (detail(u, v) - 0.5)
+                : 0.6 + 0.5 * noise(u, v) + 0.25 * (detail(u, v) - 0.5);
+            const i = (y * canvas.width + x) * 4;
+
+            image.data[i] = THREE.Math.clamp(base.r * shade, 0, 1) * 255;
+            image.data[i + 1] = THREE.Math.clamp(base.g * shade, 0, 1) * 255;
+            image.data[i + 2] = THREE.Math.clamp(base.b * shade, 0, 1) * 255;
+            image.data[i + 3] = 255;
+        }
+    }
+
+    context.putImageData(image, 0, 0);
+    return new THREE.CanvasTexture(canvas);
 }
 
 /**
- * Function that will create all the geometry on the scene. The geometry comprises the following:
- * <ul>
- *   <li>The Suh</li>
- *   <li>9 Planets</li>
- *   <li>1 Earth Moon</li>
- *   <li>5 Jupiter Moons</li>
- *   <li>3 Saturn Moons</li>
- *   <li>At most 90 stars as additional light sources</li>
- * </ul>
+ * Class that will created an orbiting celestial body in the sky. An orbiting celestial body
+ * will have a Keplerian orbit around a parent celestial body and will folow this body wherever
+ * it goes.
  */
-function createGeometry() {
-    // The Stars
-    for (let i = 0; i < NUM_STARS; i++) {
-        const px = RANGE_X_Z[i % 2] * ((-0.5 + Math.random()) * 2) + 5;
-        const py = RANGE_Y[i % 2] * ((-0.5 + Math.random()) * 2) + 5;
-        const pz = RANGE_X_Z[i % 2] * ((-0.5 + Math.random()) * 2) + 5;
-        stars.push(new CelestialBody(starRadius, 0xffffff, px, py, pz, true, true))
-    }
+class OrbitingCelestialBody extends CelestialBody {
+    /**
+     * Constructor for orbiting celestial bodies.
+     * 
+     * @param {*} name               The body's name.
+     * @param {*} radius             The body's radius.
+     * @param {*} color              The body's color.
+     * @param {*} model              The simulation body moving the body on its orbit.
+     * @param {*} orbitedBody        The orbited body.
+     * @param {*} isMoon             Flag indicating whether the body is a moon.
+     * @param {*} metadata           The body's description (type, real radius, period...), as declared on the solar system.
+     */
+    constructor(name, radius, color, model, orbitedBody, isMoon, metadata = {}) {
+        super(name, radius, color, model, false, metadata);
+
+        this.orbitedBody = orbitedBody;
+        this.visualHeightOffset = 0;
+        this.heightOffset = 0;
+        this.isMoon = isMoon;
+        this.orbitLine = this.createOrbitLine();
+        this.trail = this.createTrail();
 
-    // The Sun.
-    celestialBodies.push(new CelestialBody(sunRadius, 0xf9d71c, 0, 0, 0, true, false));
+        // The orbit is drawn around the orbited body, on its pivot.
+        orbitedBody.pivot.add(this.pivot);
+        orbitedBody.pivot.add(this.orbitLine);
+    }
 
-    // The nine planets.
-    celestialBodies.push(new OrbitingCelestialBody(mercuryRadius, 0xC5C5C5, mercuryDist, celestialBodies[SUN_IDX], mercuryTime, mercuryTime, false));
-    celestialBodies.push(new OrbitingCelestialBody(venusRadius, 0xFFFACD, venusDist, celestialBodies[SUN_IDX], mercuryTime, venusTime, false));
-    celestialBodies.push(new OrbitingCelestialBody(earthRadius, 0x1E90FF, earthDist, celestialBodies[SUN_IDX], mercuryTime, earthTime, false));
-    celestialBodies.push(new OrbitingCelestialBody(marsRadius, 0xD2B48C, marsDist, celestialBodies[SUN_IDX], mercuryTime, marsTime, false));
-    celestialBodies.push(new OrbitingCelestialBody(jupiterRadius, 0xFFA500, jupterDist, celestialBodies[SUN_IDX], mercuryTime, jupiterTime, false));
-    celestialBodies.push(new OrbitingCelestialBody(saturnRadius, 0xF0E68C, saturnDist, celestialBodies[SUN_IDX], mercuryTime, saturnTime, false));
-    celestialBodies.push(new OrbitingCelestialBody(uranusRadius, 0xADD8E6, uranusDist, celestialBodies[SUN_IDX], mercuryTime, uranusTime, false));
-    celestialBodies.push(new OrbitingCelestialBody(neptuneRadius, 0xFFA500, neptuneDist, celestialBodies[SUN_IDX], mercuryTime, neptuneTime, false));
-    celestialBodies.push(new OrbitingCelestialBody(plutoRadius, 0xFFEBCD, plutoDist, celestialBodies[SUN_IDX], mercuryTime, plutoTime, false));
+    /**
+     * Method that will pick the random parts of the body's orbit: its visual size and period and, for moons, their
+     * starting position and their height above the orbited body's equator. The body is then sized for the current
+     * scale mode.
+     * 
+     * @param {*} random The random number generator.
+     */
+    randomize(random) {
+        this.setScales(bodyScales(this.metadata, this.orbitedBody.metadata, random));
+        this.model.period = visualPeriod(this.metadata, random);
 
-    // The Earth Moon.
-    celestialBodies.push(
-        new OrbitingCelestialBody(moonRadius, 0xC5C5C5, earthMoonDist, celestialBodies[EARTH_IDX], mercuryTime, earthMoonTime, true));
+        if (this.isMoon) {
+            const signal = random() < 0.50 ? -1 : 1;
+            const orbit = this.metadata.orbit || {};
+            this.model.meanAnomalyAtEpoch = THREE.Math.degToRad(orbit.meanAnomaly || 0) + 2 * Math.PI * signal * random();
+            this.visualHeightOffset = (-0.5 + random()) * this.orbitedBody.scales[SCALE_VISUAL].radius + 2 * this.scales[SCALE_VISUAL].radius + 0.1;
+        }
 
-    // Jupiter Moons.
-    for (let i = 0; i < JUPITER_NUM_MOONS; i++) {
-        celestialBodies.push(
-            new OrbitingCelestialBody(moonRadius, 0xC5C5C5, jupiterMoonDist + Math.random() * 0.75, celestialBodies[JUPITER_IDX], mercuryTime, jupiterMoonTime * (Math.random() + 0.75), true));
+        // The orbit line is built on the visual scale and scaled with the body.
+        this.model.semiMajorAxis = this.scales[SCALE_VISUAL].semiMajorAxis;
+        this.orbitLine.geometry.dispose();
+        this.orbitLine.geometry = this.createOrbitGeometry();
+        this.applyScale(sceneProps.scaleMode, sceneProps.scaleMode, 1);
     }
 
-    // Saturn Moons.
-    for (let i = 0; i < SATURN_NUM_MOONS; i++) {
-        celestialBodies.push(
-            new OrbitingCelestialBody(moonRadius, 0xC5C5C5, saturnMoonDist + Math.random() * 0.75, celestialBodies[SATURN_IDX], mercuryTime, saturnMoonTime * (Math.random() + 0.75), true));
+    /**
+     * Method that will size the body and its orbit in between two scale modes, used while switching from one to the
+     * other. The moon heights fade out on the scale modes that don't exaggerate the distances.
+     * 
+     * @param {*} from   The scale mode being left.
+     * @param {*} to     The scale mode being entered.
+     * @param {*} weight How far the switch went, from 0 (from) to 1 (to).
+     */
+    applyScale(from, to, weight) {
+        super.applyScale(from, to, weight);
+        this.model.semiMajorAxis = interpolateScale(this.scales[from].semiMajorAxis, this.scales[to].semiMajorAxis, weight);
+        this.heightOffset = this.visualHeightOffset * THREE.Math.lerp(this.scales[from].heightFactor, this.scales[to].heightFactor, weight);
+        this.orbitLine.scale.setScalar(this.model.semiMajorAxis / this.scales[SCALE_VISUAL].semiMajorAxis);
     }
 
-    // Adds the Sun, the Planets, and the moons to the scene.
-    for (body of celestialBodies) {
-        scene.add(body.body);
-        if (body.emitsLight) {
-            scene.add(body.light);
-        }
+    /**
+     * Method that returns the body's state that can't be rebuilt from the solar system description, including the
+     * random moon positions, saved on the permalinks.
+     */
+    saveState() {
+        return Object.assign(super.saveState(), {
+            meanAnomaly: roundNumber(this.model.meanAnomalyAtEpoch),
+            height: roundNumber(this.visualHeightOffset),
+            semiMajorAxis: roundNumber(this.scales[SCALE_VISUAL].semiMajorAxis),
+            period: roundNumber(this.model.period)
+        });
     }
 
-    // Adds the starts to the scene
-    for (star of stars) {
-        scene.add(star.body);
-        if (star.emitsLight) {
-            scene.add(star.light);
+    /**
+     * Method that will restore the body's state saved on a permalink. It must be restored on the visual scale, as
+     * the orbit line is rebuilt for the saved semi-major axis.
+     * 
+     * @param {*} state The body's saved state.
+     */
+    restoreState(state) {
+        super.restoreState(state);
+        this.model.meanAnomalyAtEpoch = Number(state.meanAnomaly) || 0;
+        this.visualHeightOffset = this.heightOffset = Number(state.height) || 0;
+
+        if (state.semiMajorAxis > 0 && state.period > 0) {
+            this.model.semiMajorAxis = this.scales[SCALE_VISUAL].semiMajorAxis = state.semiMajorAxis;
+            this.model.period = state.period;
+            this.orbitLine.geometry.dispose();
+            this.orbitLine.geometry = this.createOrbitGeometry();
         }
     }
-}
 
-/**
- * Function that will add all the possible controls on the window.
- */
-function setupDatGui() {
-    let controls = new function () {
-        this.showBodyMovement = sceneProps.showBodyMovement;
-        this.planetSpeed = sceneProps.planetSpeed;
-        this.moonSpeed = sceneProps.moonSpeed;
-        this.showMercury = true;
-        this.showVenus = true;
-        this.showEarth = true;
-        this.showMars = true;
-        this.showJupiter = true;
-        this.showSaturn = true;
-        this.showUranus = true;
-        this.showNeptune = true;
-        this.showPluto = true;
-        this.showStars = true;
-        this.wireframe = false;
+    /**
+     * Method that will create the line showing the body's orbit. Its geometry is created once the orbit is picked.
+     */
+    createOrbitLine() {
+        const orbitLine = new THREE.LineLoop(new THREE.BufferGeometry(), orbitMaterial);
+        orbitLine.visible = false;
+        return orbitLine;
     }
 
-    const gui = new dat.GUI();
+    /**
+     * Method that will create the orbit line's geometry. The orbit is sampled evenly on the eccentric anomaly, so
+     * the curve stays smooth around the periapsis of eccentric orbits.
+     */
+    createOrbitGeometry() {
+        const points = [];
+        const { semiMajorAxis, elements } = this.model;
 
-    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-    // Puts all movement controls together.                                                                                                            //
-    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-    const movementFolder = gui.addFolder('Movement Management');
-    movementFolder.add(controls, 'showBodyMovement').name('Move Bodies').onChange((move) => sceneProps.showBodyMovement = move);
-    movementFolder.add(controls, 'planetSpeed', 1, 25).name('Planets Speed').step(0.1).onChange((speed) => sceneProps.planetSpeed = speed);
-    movementFolder.add(controls, 'moonSpeed', 1, 10).name('Moons Speed').step(0.1).onChange((speed) => sceneProps.moonSpeed = speed);
-    movementFolder.close();
+        for (let i = 0; i < ORBIT_SEGMENTS; i++) {
+            const E = 2 * Math.PI * i / ORBIT_SEGMENTS;
+            points.push(sceneVector(orbitalPosition(semiMajorAxis, elements, E - elements.eccentricity * Math.sin(E))));
+        }
 
-    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-    // Puts all celestial body controls together.                                                                                                      //
-    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-    const bodyFolder = gui.addFolder('Show / Hide Planets');
-    bodyFolder.add(controls, 'showMercury').name('Show Mercury').onChange((visible) => celestialBodies[MERCURY_IDX].body.visible = visible)
-    bodyFolder.add(controls, 'showVenus').name('Show Venus').onChange((visible) => celestialBodies[VENUS_IDX].body.visible = visible);
+        return new THREE.BufferGeometry().setFromPoints(points);
+    }
 
-    // Hides / shows the Earth and its moon.
-    bodyFolder.add(controls, 'showEarth').name('Show Earth').onChange((visible) => {
-        celestialBodies[EARTH_IDX].body.visible = visible;              // Hides / shows the Earth
-        celestialBodies[EARTH_MOON_IDX].body.visible = visible;             // Hides / shows Earth's moon.
-    });
+    /**
+     * Method that will create the trail showing the body's recent positions. The newest position is always the
+     * first one, fading out towards the oldest one.
+     */
+    createTrail() {
+        const geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_TRAIL_LENGTH * 3), 3).setDynamic(true));
+        geometry.addAttribute('color', new THREE.BufferAttribute(new Float32Array(MAX_TRAIL_LENGTH * 3), 3));
+        geometry.setDrawRange(0, 0);
+
+        const trail = new THREE.Line(geometry, trailMaterial);
+        trail.frustumCulled = false;
+        trail.visible = false;
+        this.trailPoints = 0;
+        return trail;
+    }
 
-    bodyFolder.add(controls, 'showMars').name('Show Mars').onChange((visible) => celestialBodies[MARS_IDX].body.visible = visible);
+    /**
+     * Method that will update the orbit line and the trail after the body moved.
+     */
+    updatePaths() {
+        this.orbitLine.position.set(0, this.heightOffset, 0);
+        this.orbitLine.visible = sceneProps.showOrbits && this.pivot.visible;
+        this.trail.visible = sceneProps.showTrails && this.isVisible();
 
-    // Hides / shows the Jupiter and its moons.
-    bodyFolder.add(controls, 'showJupiter').name('Show Jupiter').onChange((visible) => {
-        celestialBodies[JUPITER_IDX].body.visible = visible;              // Hides / shows Jupiter.
-        for (let i = JUPITER_MOONS_IDX; i < JUPITER_MOONS_IDX + JUPITER_NUM_MOONS; i++) {     // Hides / shows Jupiter's moons.
-            celestialBodies[i].body.visible = visible;
+        if (!this.trail.visible) {
+            return;
         }
-    });
 
-    // Hides / shows the Saturn and its moons.
-    bodyFolder.add(controls, 'showSaturn').name('Show Saturn').onChange((visible) => {
-        celestialBodies[SATURN_IDX].body.visible = visible;              // Hides / shows Saturn.
-        for (let i = SATURN_MOONS_IDX; i < SATURN_MOONS_IDX + SATURN_NUM_MOONS; i++) {      // Hides / shows Saturn's moons.
-            celestialBodies[i].body.visible = visible;
+        // Shifts the positions, dropping the oldest one, unless the body didn't move.
+        const positions = this.trail.geometry.attributes.position;
+        const { x, y, z } = this.position;
+        if (this.trailPoints > 0 && positions.getX(0) === Math.fround(x) && positions.getY(0) === Math.fround(y) && positions.getZ(0) === Math.fround(z)) {
+            return;
         }
-    });
+        positions.array.copyWithin(3, 0, (MAX_TRAIL_LENGTH - 1) * 3);
+        positions.setXYZ(0, x, y, z);
+        positions.needsUpdate = true;
 
-    bodyFolder.add(controls, 'showUranus').name('Show Uranus').onChange((visible) => celestialBodies[URANUS_IDX].body.visible = visible);
-    bodyFolder.add(controls, 'showNeptune').name('Show Neptune').onChange((visible) => celestialBodies[NEPTUNE_IDX].body.visible = visible);
-    bodyFolder.add(controls, 'showPluto').name('Show Pluto').onChange((visible) => celestialBodies[PLUTO_IDX].body.visible = visible);
+        this.trailPoints = Math.min(this.trailPoints + 1, sceneProps.trailLength);
+        this.trail.geometry.setDrawRange(0, this.trailPoints);
+    }
 
-    // Hides / shows all the stars rendered.
-    bodyFolder.add(controls, 'showStars').name('Show Stars').onChange((visible) => {
-        for (let i = 0; i < NUM_STARS; i++) {
-            stars[i].body.visible = visible;
-            stars[i].light.visible = visible;
-        }
-    });
-    bodyFolder.close();
+    /**
+     * Method that will paint the trail with the given color, fading out along the given length.
+     * 
+     * @param {*} color  The trail's color.
+     * @param {*} length The trail's length in positions.
+     */
+    paintTrail(color, length) {
+        const colors = this.trail.geometry.attributes.color;
 
-    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-    // Puts all celestial body controls together.                                                                                                      //
-    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-    gui.add(controls, 'wireframe').name('Wireframe').onChange((wireframe) => {
-        for (body of celestialBodies) {
-            body.material.wireframe = wireframe;
+        for (let i = 0; i < length; i++) {
+            const fade = 1 - i / length;
+            colors.setXYZ(i, color.r * fade, color.g * fade, color.b * fade);
         }
-    });
-}
+        colors.needsUpdate = true;
 
-/**
+        this.trailPoints = Math.min(this.trailPoints, length);
+        this.trail.geometry.setDrawRange(0, this.trailPoints);
+    }
+
+    /**
+     * Method that will erase the trail, used when the body jumps to a far position.
+     */
+    clearTrail() {
+        this.trailPoints = 0;
+        this.trail.geometry.setDrawRange(0, 0);
+    }
+
+    /**
+     * Method that returns the speed multiplier currently applied to the body's orbit.
+     */
+    speed() {
+        return this.isMoon ? sceneProps.moonSpeed : sceneProps.planetSpeed;
+    }
+
+    /**
+     * Method that returns the body's real distance from the orbited body in km, at its current position.
+     */
+    realDistance() {
+        return this.model.trueDistance();
+    }
+
+    /**
+     * Method that returns the body's real orbital speed in km/s at its current position.
+     */
+    realSpeed() {
+        return this.model.trueSpeed();
+    }
+
+}
+
+/**
+ * Class that will create the comets: orbiting bodies with a tail of particles streaming away from the Sun. The
+ * tail grows longer and brighter as the comet gets closer to the Sun, vanishing far from it.
+ */
+class Comet extends OrbitingCelestialBody {
+    /**
+     * Constructor for the comets.
+     * 
+     * @param {*} name        The comet's name.
+     * @param {*} radius      The comet's radius.
+     * @param {*} color       The comet's color.
+     * @param {*} model       The simulation body moving the comet on its orbit.
+     * @param {*} orbitedBody The orbited body, which the tail points away from.
+     * @param {*} metadata    The comet's description, as declared on the solar system.
+     */
+    constructor(name, radius, color, model, orbitedBody, metadata = {}) {
+        super(name, radius, color, model, orbitedBody, false, metadata);
+
+        this.tailColor = new THREE.Color(COMET_TAIL_COLOR);
+        this.tail = this.createTail();
+    }
+
+    /**
+     * Method that will create the tail's particles. Each one streams from the nucleus to the tail's end, drifting
+     * sideways on its own direction, then starts over.
+     */
+    createTail() {
+        this.tailPhases = new Float32Array(COMET_TAIL_PARTICLES);
+        this.tailSpreads = new Float32Array(COMET_TAIL_PARTICLES * 3);
+        for (let i = 0; i < COMET_TAIL_PARTICLES; i++) {
+            this.tailPhases[i] = this.textureRandom();
+            for (let axis = 0; axis < 3; axis++) {
+                this.tailSpreads[i * 3 + axis] = (this.textureRandom() * 2 - 1) * COMET_TAIL_SPREAD;
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(COMET_TAIL_PARTICLES * 3), 3).setDynamic(true));
+        geometry.addAttribute('color', new THREE.BufferAttribute(new Float32Array(COMET_TAIL_PARTICLES * 3), 3).setDynamic(true));
+
+        const tail = new THREE.Points(geometry, new THREE.PointsMaterial({
+            size: COMET_TAIL_SIZE,
+            sizeAttenuation: false,
+            vertexColors: THREE.VertexColors,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        tail.frustumCulled = false;
+        tail.visible = false;
+        return tail;
+    }
+
+    /**
+     * Method that returns how active the comet is, from 0 far from the Sun to 1 within the active distance. The
+     * activity falls with the square of the distance, as the sunlight does.
+     */
+    activity() {
+        return Math.pow(Math.min(COMET_ACTIVE_DISTANCE / this.realDistance(), 1), 2);
+    }
+
+    /**
+     * Method that will stream the tail's particles away from the Sun. The tail's real length is scaled as the comet's
+     * distance from the Sun is, so it looks the same on every scale mode.
+     * 
+     * @param {*} delta The real elapsed time in seconds.
+     */
+    updateTail(delta) {
+        const activity = this.activity();
+        this.tail.visible = this.isVisible() && activity > COMET_MIN_ACTIVITY;
+        if (!this.tail.visible) {
+            return;
+        }
+
+        const direction = this.position.clone().sub(this.orbitedBody.position);
+        const length = COMET_TAIL_LENGTH * activity * direction.length() / this.realDistance();
+        direction.normalize();
+
+        const positions = this.tail.geometry.attributes.position;
+        const colors = this.tail.geometry.attributes.color;
+        for (let i = 0; i < COMET_TAIL_PARTICLES; i++) {
+            const phase = this.tailPhases[i] = (this.tailPhases[i] + delta / COMET_TAIL_LIFETIME) % 1;
+            const reach = length * phase;
+            positions.setXYZ(i,
+                this.position.x + (direction.x + this.tailSpreads[i * 3]) * reach,
+                this.position.y + (direction.y + this.tailSpreads[i * 3 + 1]) * reach,
+                this.position.z + (direction.z + this.tailSpreads[i * 3 + 2]) * reach
+            );
+
+            const brightness = activity * (1 - phase);
+            colors.setXYZ(i, this.tailColor.r * brightness, this.tailColor.g * brightness, this.tailColor.b * brightness);
+        }
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+    }
+}
+
+/**
+ * Class that will render the stars in the sky. All stars are points on a single geometry drawn by the GPU, on a
+ * sky sphere that moves with the camera, so the stars don't move when the camera does. Each star has a random
+ * apparent magnitude, setting its size and brightness, and a random temperature, setting its color.
+ */
+class Starfield {
+    /**
+     * Constructor for the starfield.
+     * 
+     * @param {*} count        The number of stars.
+     * @param {*} random       The random number generator placing the stars.
+     * @param {*} distribution How the stars are placed on the sky: Shell, Box or Galactic Band.
+     * @param {*} brightness   The factor multiplying the stars' colors and sizes.
+     */
+    constructor(count, random, distribution = STAR_DISTRIBUTIONS[0], brightness = 1) {
+        this.count = count;
+        this.random = random;
+        this.distribution = distribution;
+        this.brightness = brightness;
+        this.galacticRotation = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), sceneVector({
+            x: Math.cos(THREE.Math.degToRad(GALACTIC_POLE.latitude)) * Math.cos(THREE.Math.degToRad(GALACTIC_POLE.longitude)),
+            y: Math.cos(THREE.Math.degToRad(GALACTIC_POLE.latitude)) * Math.sin(THREE.Math.degToRad(GALACTIC_POLE.longitude)),
+            z: Math.sin(THREE.Math.degToRad(GALACTIC_POLE.latitude))
+        }));
+        this.points = this.createPoints();
+    }
+
+    /**
+     * Method that will place a star on the sky, following the starfield's distribution.
+     * 
+     * @param {*} target The vector where the star's position is set.
+     */
+    placeStar(target) {
+        if (this.distribution === 'Box') {
+            // A random point on a random face of the box.
+            const axis = Math.floor(this.random() * 3);
+            target.set(this.random() * 2 - 1, this.random() * 2 - 1, this.random() * 2 - 1);
+            target.setComponent(axis, this.random() < 0.5 ? -1 : 1);
+            return target.multiplyScalar(STARFIELD_RADIUS);
+        }
+
+        if (this.distribution === 'Galactic Band' && this.random() < GALACTIC_BAND_FRACTION) {
+            // Normally distributed latitudes around the galactic plane (Box-Muller).
+            const gaussian = Math.sqrt(-2 * Math.log(this.random() || Number.EPSILON)) * Math.cos(2 * Math.PI * this.random());
+            const latitude = THREE.Math.degToRad(GALACTIC_BAND_WIDTH * gaussian);
+            const longitude = this.random() * 2 * Math.PI;
+            target.set(Math.cos(latitude) * Math.cos(longitude), Math.sin(latitude), Math.cos(latitude) * Math.sin(longitude));
+            return target.applyQuaternion(this.galacticRotation).multiplyScalar(STARFIELD_RADIUS);
+        }
+
+        // Uniformly distributed directions on the sphere.
+        const y = this.random() * 2 - 1;
+        const angle = this.random() * 2 * Math.PI;
+        const radius = Math.sqrt(1 - y * y);
+        return target.set(radius * Math.cos(angle), y, radius * Math.sin(angle)).multiplyScalar(STARFIELD_RADIUS);
+    }
+
+    /**
+     * Method that will create the points for all stars, with the shaders sizing and fading them.
+     */
+    createPoints() {
+        const positions = new Float32Array(this.count * 3);
+        const colors = new Float32Array(this.count * 3);
+        const sizes = new Float32Array(this.count);
+        const direction = new THREE.Vector3();
+
+        for (let i = 0; i < this.count; i++) {
+            this.placeStar(direction).toArray(positions, i * 3);
+
+            // Faint stars are far more common than bright ones, about 2.5 times more per magnitude.
+            const magnitude = Math.max(FAINTEST_MAGNITUDE + 2.5 * Math.log10(this.random() || Number.EPSILON), BRIGHTEST_MAGNITUDE);
+            const brightness = Math.pow(10, -0.4 * (magnitude - FAINTEST_MAGNITUDE));
+            sizes[i] = Math.min(1.5 + Math.log10(brightness), 6) * Math.sqrt(this.brightness);
+
+            const color = temperatureColor(THREE.Math.lerp(STAR_TEMPERATURES[0], STAR_TEMPERATURES[1], Math.pow(this.random(), 3)));
+            color.multiplyScalar(THREE.Math.clamp(0.35 + 0.15 * Math.log10(brightness), 0.35, 1) * this.brightness);
+            color.toArray(colors, i * 3);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.addAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.addAttribute('size', new THREE.BufferAttribute(sizes, 1));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: { pixelRatio: { value: renderer.getPixelRatio() } },
+            vertexShader: `
+                attribute float size;
+                attribute vec3 color;
+                uniform float pixelRatio;
+                varying vec3 vColor;
+                #include <common>
+                #include <logdepthbuf_pars_vertex>
+                void main() {
+                    vColor = color;
+                    gl_PointSize = size * pixelRatio;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                    #include <logdepthbuf_vertex>
+                }`,
+            fragmentShader: `
+                varying vec3 vColor;
+                #include <logdepthbuf_pars_fragment>
+                void main() {
+                    #include <logdepthbuf_fragment>
+                    float falloff = 1.0 - smoothstep(0.25, 0.5, length(gl_PointCoord - vec2(0.5)));
+                    gl_FragColor = vec4(vColor, falloff);
+                }`,
+            transparent: true,
+            depthWrite: false
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.frustumCulled = false;
+        points.renderOrder = -1;
+        return points;
+    }
+
+    /**
+     * Method that will keep the sky sphere centered on the camera, halfway to its far plane.
+     * 
+     * @param {*} camera The camera rendering the scene.
+     */
+    update(camera) {
+        this.points.position.copy(camera.position);
+        this.points.scale.setScalar(camera.far / (2 * STARFIELD_RADIUS));
+    }
+
+    /**
+     * Method that will free the GPU resources of the stars, once they're removed from the scene.
+     */
+    dispose() {
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
+
+/**
+ * Function that approximates the color of a black body at the given temperature.
+ * 
+ * @param {*} kelvin The temperature in Kelvin.
+ * @returns The color as a THREE.Color.
+ */
+function temperatureColor(kelvin) {
+    const t = kelvin / 100;
+    const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    const green = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    const blue = t >= 66 ? 255 : (t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307);
+
+    return new THREE.Color(
+        THREE.Math.clamp(red, 0, 255) / 255,
+        THREE.Math.clamp(green, 0, 255) / 255,
+        THREE.Math.clamp(blue, 0, 255) / 255
+    );
+}
+
+/**
+ * Class that will draw a belt's rocks as points, shaped as irregular rocks by the shaders. The rocks are moved by
+ * their simulation belt, on orbits scaled to the scale mode's distances.
+ */
+class Belt {
+    /**
+     * Constructor for the belts.
+     * 
+     * @param {*} definition   The belt definition.
+     * @param {*} model        The simulation belt moving the rocks.
+     * @param {*} orbitedBody  The celestial body the rocks orbit.
+     * @param {*} random       The random number generator sizing the rocks, after the model picked their orbits.
+     */
+    constructor(definition, model, orbitedBody, random) {
+        this.name = definition.name;
+        this.definition = definition;
+        this.model = model;
+        this.orbitedBody = orbitedBody;
+        this.distances = new Float32Array(model.count);
+        this.scales = this.createScales();
+        this.points = this.createPoints(random);
+    }
+
+    /**
+     * Method that calculates the rocks' orbit semi-major axes on each scale mode. The visual scale maps the belt's
+     * real range onto its visual distances, while the other modes scale each rock's real distance as the bodies'.
+     */
+    createScales() {
+        const [minAxis, maxAxis] = this.definition.semiMajorAxis;
+        const [minDistance, maxDistance] = this.definition.visual.distance;
+        const scales = {
+            [SCALE_VISUAL]: new Float32Array(this.model.count),
+            [SCALE_LOGARITHMIC]: new Float32Array(this.model.count),
+            [SCALE_TRUE]: new Float32Array(this.model.count)
+        };
+
+        this.model.semiMajorAxes.forEach((semiMajorAxis, i) => {
+            const weight = maxAxis > minAxis ? (semiMajorAxis - minAxis) / (maxAxis - minAxis) : 0;
+            scales[SCALE_VISUAL][i] = THREE.Math.lerp(minDistance, maxDistance, weight);
+            scales[SCALE_LOGARITHMIC][i] = logarithmicDistance(semiMajorAxis);
+            scales[SCALE_TRUE][i] = semiMajorAxis / KM_PER_UNIT;
+        });
+
+        return scales;
+    }
+
+    /**
+     * Method that will create the points for all rocks, each with its own size, shade and shape.
+     * 
+     * @param {*} random The random number generator.
+     */
+    createPoints(random) {
+        const count = this.model.count;
+        const sizes = new Float32Array(count);
+        const colors = new Float32Array(count * 3);
+        const shapes = new Float32Array(count);
+        const color = new THREE.Color();
+
+        for (let i = 0; i < count; i++) {
+            // Small rocks are far more common than large ones.
+            sizes[i] = pickFromRange(this.definition.visual.size, 0, () => Math.pow(random(), 3));
+            color.set(this.definition.color).multiplyScalar(0.6 + 0.6 * random()).toArray(colors, i * 3);
+            shapes[i] = random();
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3).setDynamic(true));
+        geometry.addAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.addAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        geometry.addAttribute('shape', new THREE.BufferAttribute(shapes, 1));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                pixelScale: { value: 1 },
+                minSize: { value: ROCK_POINT_SIZES[0] },
+                maxSize: { value: ROCK_POINT_SIZES[1] }
+            },
+            vertexShader: `
+                attribute float size;
+                attribute float shape;
+                attribute vec3 color;
+                uniform float pixelScale;
+                uniform float minSize;
+                uniform float maxSize;
+                varying vec3 vColor;
+                varying float vShape;
+                #include <common>
+                #include <logdepthbuf_pars_vertex>
+                void main() {
+                    vColor = color;
+                    vShape = shape;
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    gl_PointSize = clamp(size * pixelScale / -mvPosition.z, minSize, maxSize);
+                    gl_Position = projectionMatrix * mvPosition;
+                    #include <logdepthbuf_vertex>
+                }`,
+            fragmentShader: `
+                varying vec3 vColor;
+                varying float vShape;
+                #include <logdepthbuf_pars_fragment>
+                void main() {
+                    #include <logdepthbuf_fragment>
+                    // A lumpy outline, different for every rock, shaded darker towards its edge.
+                    vec2 point = gl_PointCoord - vec2(0.5);
+                    float angle = atan(point.y, point.x);
+                    float edge = 0.5 * (0.7 + 0.15 * sin(3.0 * angle + 6.2832 * vShape) + 0.15 * sin(5.0 * angle + 17.0 * vShape));
+                    float distance = length(point);
+                    if (distance > edge) {
+                        discard;
+                    }
+                    gl_FragColor = vec4(vColor * (1.0 - 0.5 * distance / edge), 1.0);
+                }`
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.frustumCulled = false;
+        return points;
+    }
+
+    /**
+     * Method that will resize the rocks' orbits while switching scale modes.
+     * 
+     * @param {*} from   The scale mode being left.
+     * @param {*} to     The scale mode being entered.
+     * @param {*} weight How far the switch went, from 0 to 1.
+     */
+    applyScale(from, to, weight) {
+        for (let i = 0; i < this.distances.length; i++) {
+            this.distances[i] = interpolateScale(this.scales[from][i], this.scales[to][i], weight);
+        }
+    }
+
+    /**
+     * Method that will move the rocks' points to where their simulation belt placed them, and size them for the
+     * camera. Hidden belts aren't moved, nor are they moved by the simulation.
+     * 
+     * @param {*} camera The camera rendering the scene.
+     */
+    update(camera) {
+        this.model.enabled = this.points.visible;
+        if (!this.points.visible) {
+            return;
+        }
+
+        const attribute = this.points.geometry.attributes.position;
+        const positions = this.model.positions;
+        const center = this.orbitedBody.position;
+        for (let i = 0; i < this.distances.length; i++) {
+            const distance = this.distances[i];
+            attribute.array[i * 3] = center.x + positions[i * 3] * distance;
+            attribute.array[i * 3 + 1] = center.y + positions[i * 3 + 2] * distance;
+            attribute.array[i * 3 + 2] = center.z - positions[i * 3 + 1] * distance;
+        }
+        attribute.needsUpdate = true;
+
+        this.points.material.uniforms.pixelScale.value = renderer.domElement.height / (2 * Math.tan(THREE.Math.degToRad(camera.fov) / 2));
+    }
+
+    /**
+     * Method that returns the belt's state saved on permalinks.
+     */
+    saveState() {
+        return { visible: this.points.visible, count: this.model.count, density: this.model.density, timeOffset: roundNumber(this.model.timeOffset) };
+    }
+
+    /**
+     * Method that will free the GPU resources of the rocks, once they're removed from the scene.
+     */
+    dispose() {
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
+
+/**
+ * Class that will show the bodies' names beside them on the screen. Labels fade out with the distance and are
+ * hidden with their bodies, when their category is hidden or when they'd overlap a higher priority label.
+ */
+class BodyLabels {
+    /**
+     * Constructor for the labels.
+     * 
+     * @param {*} bodies The celestial bodies being labeled.
+     */
+    constructor(bodies) {
+        this.element = document.createElement('div');
+        this.element.className = 'label-layer';
+        this.labels = bodies.map((body) => this.createLabel(body));
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Method that will create the label of a body, marked with the body's color.
+     * 
+     * @param {*} body The celestial body being labeled.
+     */
+    createLabel(body) {
+        const element = document.createElement('div');
+        element.className = 'body-label';
+        element.textContent = body.name;
+        element.style.borderLeftColor = new THREE.Color(body.color).getStyle();
+        element.style.display = 'none';
+        this.element.appendChild(element);
+
+        return { body: body, element: element, category: LABEL_CATEGORIES[body.metadata.type], width: 0, height: 0 };
+    }
+
+    /**
+     * Method that will place the labels beside their bodies. The labels are placed by priority, closest bodies
+     * first, skipping the ones overlapping labels already placed.
+     * 
+     * @param {*} camera The camera rendering the scene.
+     */
+    update(camera) {
+        const position = new THREE.Vector3();
+        const candidates = [];
+
+        // The camera moved this frame, but it's only updated when rendering.
+        camera.updateMatrixWorld();
+
+        for (const label of this.labels) {
+            const body = label.body;
+            const distance = camera.position.distanceTo(body.position);
+            const fadeDistance = body.isMoon ? body.model.semiMajorAxis * MOON_LABEL_DISTANCE : camera.far * LABEL_DISTANCE;
+            const opacity = 1 - THREE.Math.smoothstep(distance / fadeDistance, 1 - LABEL_FADE, 1);
+            position.copy(body.position).project(camera);
+
+            if (!sceneProps[label.category.property] || !body.isVisible() || opacity <= 0 || Math.abs(position.z) > 1) {
+                label.element.style.display = 'none';
+                continue;
+            }
+
+            candidates.push({
+                label: label,
+                distance: distance,
+                opacity: opacity,
+                x: (position.x + 1) * window.innerWidth / 2,
+                y: (1 - position.y) * window.innerHeight / 2
+            });
+        }
+
+        candidates.sort((a, b) => b.label.category.priority - a.label.category.priority || a.distance - b.distance);
+
+        const placed = [];
+        for (const candidate of candidates) {
+            const label = candidate.label;
+            label.element.style.display = '';
+
+            // Labels are measured once, the first time they're shown.
+            if (!label.width) {
+                label.width = label.element.offsetWidth;
+                label.height = label.element.offsetHeight;
+            }
+
+            const rect = {
+                left: candidate.x + LABEL_OFFSET,
+                top: candidate.y - label.height / 2,
+                right: candidate.x + LABEL_OFFSET + label.width,
+                bottom: candidate.y + label.height / 2
+            };
+            if (placed.some((other) => rect.left < other.right && other.left < rect.right && rect.top < other.bottom && other.top < rect.bottom)) {
+                label.element.style.display = 'none';
+                continue;
+            }
+
+            placed.push(rect);
+            label.element.style.opacity = candidate.opacity;
+            label.element.style.transform = `translate(${rect.left}px, ${rect.top}px)`;
+        }
+    }
+}
+
+/**
+ * Measurement class that will show the true distance between two bodies, the time light takes to cover it and the
+ * angle between them as seen from the observer, with a line between the bodies on the screen.
+ */
+class Measurement {
+    /**
+     * Constructor for the measurements.
+     * 
+     * @param {*} from  The celestial body measured from.
+     * @param {*} to    The celestial body measured to.
+     * @param {*} color The color of the measurement's line.
+     */
+    constructor(from, to, color) {
+        this.from = from;
+        this.to = to;
+        this.color = color;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3).setDynamic(true));
+        this.line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: color, transparent: true, opacity: 0.8 }));
+        this.line.frustumCulled = false;
+    }
+
+    /**
+     * Method that will move the line's ends to the bodies after they moved. The line is hidden with either body.
+     */
+    update() {
+        const positions = this.line.geometry.attributes.position;
+        positions.setXYZ(0, this.from.position.x, this.from.position.y, this.from.position.z);
+        positions.setXYZ(1, this.to.position.x, this.to.position.y, this.to.position.z);
+        positions.needsUpdate = true;
+        this.line.visible = this.from.isVisible() && this.to.isVisible();
+    }
+
+    /**
+     * Method that returns the measurement: the true distance in km, the light time in seconds and the separation
+     * seen from the observer in degrees, which is undefined when the observer is one of the bodies.
+     */
+    measure() {
+        const from = new THREE.Vector3().copy(simulation.truePositionOf(this.from.name));
+        const to = new THREE.Vector3().copy(simulation.truePositionOf(this.to.name));
+        const distance = from.distanceTo(to);
+        let separation;
+
+        if (simulation.bodyMap.has(MEASUREMENT_OBSERVER) && this.from.name !== MEASUREMENT_OBSERVER && this.to.name !== MEASUREMENT_OBSERVER) {
+            const observer = new THREE.Vector3().copy(simulation.truePositionOf(MEASUREMENT_OBSERVER));
+            separation = THREE.Math.radToDeg(from.sub(observer).angleTo(to.sub(observer)));
+        }
+
+        return { distance: distance, lightTime: distance / SPEED_OF_LIGHT, separation: separation };
+    }
+
+    /**
+     * Method that returns the measurement's description shown on the screen, marked with the line's color.
+     */
+    describe() {
+        const { distance, lightTime, separation } = this.measure();
+        const lines = [
+            `<span style="color: ${new THREE.Color(this.color).getStyle()}">&#9632;</span> <b>${this.from.name} to ${this.to.name}</b>`,
+            `Distance: ${formatNumber(distance)} km (${formatNumber(distance / KM_PER_AU, 4)} AU)`,
+            `Light time: ${formatDuration(lightTime)}`
+        ];
+
+        if (separation !== undefined) {
+            lines.push(`Seen from ${MEASUREMENT_OBSERVER}: ${formatNumber(separation, 2)}&deg; apart`);
+        }
+        return lines.join('<br>');
+    }
+
+    /**
+     * Method that will free the line's GPU resources.
+     */
+    dispose() {
+        this.line.geometry.dispose();
+        this.line.material.dispose();
+    }
+}
+
+/**
+ * Schemas used to validate the solar system description. Each property has its expected type and
+ * whether it's required. Range properties accept either a number or a [min, max] array.
+ */
+const BODY_TYPES = ['star', 'planet', 'dwarf', 'moon', 'comet'];
+const BODY_SCHEMA = {
+    name: { type: 'string', required: true },
+    type: { type: 'string', required: true },
+    radius: { type: 'number', required: true },
+    mass: { type: 'number', required: false },
+    color: { type: 'number', required: true },
+    parent: { type: 'string', required: false },
+    semiMajorAxis: { type: 'number', required: false },
+    orbit: { type: 'object', required: false },
+    ephemeris: { type: 'object', required: false },
+    rotationPeriod: { type: 'number', required: false },
+    obliquity: { type: 'number', required: false },
+    rings: { type: 'object', required: false },
+    material: { type: 'object', required: false },
+    period: { type: 'number', required: false },
+    emitsLight: { type: 'boolean', required: false },
+    visual: { type: 'object', required: true },
+    moons: { type: 'array', required: false }
+};
+const VISUAL_SCHEMA = {
+    radiusProp: { type: 'number', required: true },
+    distanceProp: { type: 'number', required: false },
+    orbitOffset: { type: 'range', required: false },
+    period: { type: 'number', required: false },
+    periodFactor: { type: 'range', required: false }
+};
+const EPHEMERIS_SCHEMA = {
+    elements: { type: 'array', required: true },
+    rates: { type: 'array', required: true }
+};
+const RINGS_SCHEMA = {
+    innerRadius: { type: 'number', required: true },
+    outerRadius: { type: 'number', required: true },
+    color: { type: 'number', required: true },
+    opacity: { type: 'number', required: true }
+};
+const MATERIAL_SCHEMA = {
+    map: { type: 'string', required: false },
+    bumpMap: { type: 'string', required: false },
+    bumpScale: { type: 'number', required: false },
+    specularMap: { type: 'string', required: false },
+    shininess: { type: 'number', required: false },
+    nightMap: { type: 'string', required: false },
+    procedural: { type: 'string', required: false }
+};
+const PROCEDURAL_TYPES = ['rocky', 'banded'];
+const BELT_SCHEMA = {
+    name: { type: 'string', required: true },
+    parent: { type: 'string', required: true },
+    count: { type: 'number', required: true },
+    semiMajorAxis: { type: 'range', required: true },
+    eccentricity: { type: 'range', required: true },
+    inclination: { type: 'range', required: true },
+    color: { type: 'number', required: true },
+    visual: { type: 'object', required: true }
+};
+const BELT_VISUAL_SCHEMA = {
+    distance: { type: 'range', required: true },
+    size: { type: 'range', required: true }
+};
+const ORBIT_SCHEMA = {
+    eccentricity: { type: 'number', required: false },
+    inclination: { type: 'number', required: false },
+    longitudeOfAscendingNode: { type: 'number', required: false },
+    argumentOfPeriapsis: { type: 'number', required: false },
+    meanAnomaly: { type: 'number', required: false }
+};
+const TOUR_SCHEMA = {
+    name: { type: 'string', required: true },
+    steps: { type: 'array', required: true }
+};
+const TOUR_STEP_SCHEMA = {
+    caption: { type: 'string', required: true },
+    focus: { type: 'string', required: false },
+    position: { type: 'array', required: true },
+    target: { type: 'array', required: false },
+    flight: { type: 'number', required: false },
+    hold: { type: 'number', required: false },
+    date: { type: 'string', required: false },
+    timeScale: { type: 'number', required: false },
+    scaleMode: { type: 'string', required: false },
+    realPositions: { type: 'boolean', required: false },
+    hidden: { type: 'array', required: false }
+};
+
+/**
+ * Checks whether a value matches the given schema type.
+ * 
+ * @param {*} value The value to be checked.
+ * @param {*} type  The schema type.
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'range':
+            return typeof value === 'number' ||
+                (Array.isArray(value) && value.length === 2 && value.every((limit) => typeof limit === 'number') && value[0] <= value[1]);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Validates an object against a schema, throwing an error describing the first problem found.
+ * 
+ * @param {*} object The object to be validated.
+ * @param {*} schema The schema used for the validation.
+ * @param {*} where  Description of the object, used on the error messages.
+ */
+function validateSchema(object, schema, where) {
+    for (const key of Object.keys(object)) {
+        if (!schema[key]) {
+            throw new Error(`${where}: unknown property '${key}'.`);
+        }
+    }
+
+    for (const [key, rule] of Object.entries(schema)) {
+        if (object[key] === undefined) {
+            if (rule.required) {
+                throw new Error(`${where}: missing required property '${key}'.`);
+            }
+        } else if (!matchesType(object[key], rule.type)) {
+            throw new Error(`${where}: property '${key}' must be of type ${rule.type}.`);
+        }
+    }
+}
+
+/**
+ * Validates the whole solar system description. Moons get their type and parent filled in, so the
+ * rest of the application can treat all bodies in the same way. Bodies must be declared after the
+ * body they orbit.
+ * 
+ * @param {*} system The solar system description.
+ * @returns The list of all body definitions, parents always before their satellites.
+ */
+function validateSystem(system) {
+    const definitions = [];
+    const names = new Set();
+
+    const validateBody = (definition, parentName) => {
+        const where = `Body '${definition.name || definitions.length}'`;
+
+        if (parentName) {
+            definition.type = definition.type || 'moon';
+            definition.parent = definition.parent || parentName;
+        }
+
+        validateSchema(definition, BODY_SCHEMA, where);
+        validateSchema(definition.visual, VISUAL_SCHEMA, `${where} visual`);
+
+        if (!BODY_TYPES.includes(definition.type)) {
+            throw new Error(`${where}: type must be one of ${BODY_TYPES.join(', ')}.`);
+        }
+        if (names.has(definition.name)) {
+            throw new Error(`${where}: duplicated name.`);
+        }
+        if (definition.radius <= 0 || definition.visual.radiusProp <= 0) {
+            throw new Error(`${where}: radius and radiusProp must be positive.`);
+        }
+        if (definition.mass !== undefined && !(definition.mass > 0)) {
+            throw new Error(`${where}: mass must be positive.`);
+        }
+        if (definition.rotationPeriod !== undefined && !(definition.rotationPeriod > 0)) {
+            throw new Error(`${where}: rotationPeriod must be positive, use an obliquity above 90 degrees for retrograde spins.`);
+        }
+        if (definition.rings) {
+            validateSchema(definition.rings, RINGS_SCHEMA, `${where} rings`);
+            if (!(definition.rings.innerRadius > definition.radius && definition.rings.outerRadius > definition.rings.innerRadius)) {
+                throw new Error(`${where}: rings must be outside the body, with the outer radius above the inner one.`);
+            }
+        }
+        if (definition.material) {
+            validateSchema(definition.material, MATERIAL_SCHEMA, `${where} material`);
+            if (definition.material.procedural && !PROCEDURAL_TYPES.includes(definition.material.procedural)) {
+                throw new Error(`${where}: procedural textures must be one of ${PROCEDURAL_TYPES.join(', ')}.`);
+            }
+        }
+        if (definition.parent !== undefined) {
+            if (!names.has(definition.parent)) {
+                throw new Error(`${where}: parent '${definition.parent}' must be declared before its satellites.`);
+            }
+            if (!(definition.semiMajorAxis > 0) || !(definition.period > 0)) {
+                throw new Error(`${where}: orbiting bodies need a positive semiMajorAxis and period.`);
+            }
+            if (definition.type !== 'moon' && !(definition.visual.distanceProp > 0)) {
+                throw new Error(`${where}: bodies orbiting a star need a positive visual distanceProp.`);
+            }
+            if (definition.orbit) {
+                validateSchema(definition.orbit, ORBIT_SCHEMA, `${where} orbit`);
+                if (definition.orbit.eccentricity < 0 || definition.orbit.eccentricity >= 1) {
+                    throw new Error(`${where}: orbit eccentricity must be in the [0, 1) range.`);
+                }
+            }
+            if (definition.ephemeris) {
+                validateSchema(definition.ephemeris, EPHEMERIS_SCHEMA, `${where} ephemeris`);
+                const { elements, rates } = definition.ephemeris;
+                if (![elements, rates].every((values) => values.length === 6 && values.every((value) => typeof value === 'number'))) {
+                    throw new Error(`${where}: ephemeris elements and rates must have 6 numbers each.`);
+                }
+            }
+        } else if (definition.type !== 'star') {
+            throw new Error(`${where}: only stars can be declared without a parent.`);
+        }
+
+        names.add(definition.name);
+        definitions.push(definition);
+        (definition.moons || []).forEach((moon) => validateBody(moon, definition.name));
+    };
+
+    validateSchema(system.visual, {
+        baseRadius: { type: 'number', required: true },
+        baseDistance: { type: 'number', required: true },
+        distanceUnit: { type: 'number', required: true }
+    }, 'System visual');
+    system.bodies.forEach((body) => validateBody(body));
+    (system.belts || []).forEach((belt) => validateBelt(belt, definitions));
+
+    return definitions;
+}
+
+/**
+ * Validates a belt description. Ranges given as numbers are turned into [min, max] ranges, so the rest of the
+ * application can treat all of them in the same way.
+ * 
+ * @param {*} belt        The belt description.
+ * @param {*} definitions The validated body definitions.
+ */
+function validateBelt(belt, definitions) {
+    const where = `Belt '${belt.name}'`;
+
+    validateSchema(belt, BELT_SCHEMA, where);
+    validateSchema(belt.visual, BELT_VISUAL_SCHEMA, `${where} visual`);
+    for (const [object, key] of [[belt, 'semiMajorAxis'], [belt, 'eccentricity'], [belt, 'inclination'], [belt.visual, 'distance'], [belt.visual, 'size']]) {
+        object[key] = Array.isArray(object[key]) ? object[key] : [object[key], object[key]];
+    }
+
+    const parent = definitions.find((definition) => definition.name === belt.parent);
+    if (!parent || !(parent.mass > 0)) {
+        throw new Error(`${where}: parent '${belt.parent}' must be a declared body with a mass.`);
+    }
+    if (!(Number.isInteger(belt.count) && belt.count >= 0 && belt.count <= MAX_BELT_COUNT)) {
+        throw new Error(`${where}: count must be an integer from 0 to ${MAX_BELT_COUNT}.`);
+    }
+    if (!(belt.semiMajorAxis[0] > 0 && belt.visual.distance[0] > 0 && belt.visual.size[0] > 0)) {
+        throw new Error(`${where}: semiMajorAxis, visual distance and size must be positive.`);
+    }
+    if (belt.eccentricity[0] < 0 || belt.eccentricity[1] >= 1) {
+        throw new Error(`${where}: eccentricity must be in the [0, 1) range.`);
+    }
+}
+
+/**
+ * Validates the guided tours. Steps may only focus and hide the bodies on the scene, and only the orbiting bodies
+ * can be hidden.
+ * 
+ * @param {*} tours The tour descriptions.
+ * @returns The tours.
+ */
+function validateTours(tours) {
+    const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every((coordinate) => typeof coordinate === 'number');
+
+    for (const tour of tours) {
+        const where = `Tour '${tour.name}'`;
+        validateSchema(tour, TOUR_SCHEMA, where);
+        if (tour.steps.length === 0) {
+            throw new Error(`${where}: must have at least one step.`);
+        }
+
+        tour.steps.forEach((step, index) => {
+            const stepWhere = `${where} step ${index + 1}`;
+            validateSchema(step, TOUR_STEP_SCHEMA, stepWhere);
+            if (step.focus !== undefined && !celestialBodyMap.has(step.focus)) {
+                throw new Error(`${stepWhere}: unknown focus '${step.focus}'.`);
+            }
+            if (!isVector(step.position) || (step.target !== undefined && !isVector(step.target))) {
+                throw new Error(`${stepWhere}: position and target must be [x, y, z] arrays.`);
+            }
+            if (step.flight < 0 || step.hold < 0) {
+                throw new Error(`${stepWhere}: flight and hold can't be negative.`);
+            }
+            if (step.date !== undefined && isNaN(new Date(step.date).getTime())) {
+                throw new Error(`${stepWhere}: date '${step.date}' can't be parsed.`);
+            }
+            if (step.scaleMode !== undefined && !CAMERA_PLANES[step.scaleMode]) {
+                throw new Error(`${stepWhere}: unknown scale mode '${step.scaleMode}'.`);
+            }
+            for (const name of step.hidden || []) {
+                const body = celestialBodyMap.get(name);
+                if (!body || !body.orbitedBody) {
+                    throw new Error(`${stepWhere}: '${name}' is not an orbiting body.`);
+                }
+            }
+        });
+    }
+
+    return tours;
+}
+
+/**
+ * Picks a value from a range property. Numbers are returned as they are, while [min, max] ranges
+ * return a random value inside the range.
+ * 
+ * @param {*} range        The range property.
+ * @param {*} defaultValue The value returned when the property is not defined.
+ * @param {*} random       The random number generator.
+ */
+function pickFromRange(range, defaultValue, random) {
+    if (range === undefined) {
+        return defaultValue;
+    }
+
+    return Array.isArray(range) ? range[0] + random() * (range[1] - range[0]) : range;
+}
+
+/**
+ * Calculates the radius used on the screen for a body. It's proportional to the sun's radius, with
+ * the body's visual correction applied, so all bodies are visible on the screen.
+ * 
+ * @param {*} definition The body definition.
+ */
+function visualRadius(definition) {
+    return definition.visual.radiusProp * definition.radius / SOLAR_SYSTEM.visual.baseRadius;
+}
+
+/**
+ * Calculates the orbit semi-major axis used on the screen for a body. Moons orbit close to their planet's surface
+ * while the other bodies have their distances from the sun corrected, so all of them fit on the screen.
+ * 
+ * @param {*} definition       The body definition.
+ * @param {*} parentDefinition The orbited body definition.
+ * @param {*} random           The random number generator.
+ */
+function visualSemiMajorAxis(definition, parentDefinition, random) {
+    if (definition.type === 'moon') {
+        return visualRadius(parentDefinition) + pickFromRange(definition.visual.orbitOffset, 1, random);
+    }
+
+    const { baseDistance, distanceUnit } = SOLAR_SYSTEM.visual;
+    return distanceUnit * definition.semiMajorAxis / baseDistance / definition.visual.distanceProp;
+}
+
+/**
+ * Calculates the logarithmic distance used on the screen for a real distance, so the inner planets are kept apart
+ * while the outer ones still fit on the screen.
+ * 
+ * @param {*} distance The real distance in km.
+ */
+function logarithmicDistance(distance) {
+    return LOG_DISTANCE_SCALE * Math.log10(1 + distance / LOG_DISTANCE_BASE);
+}
+
+/**
+ * Calculates the sizes of a body on each scale mode. The visual scale exaggerates sizes and distances, the
+ * logarithmic one keeps the visual sizes but compresses the real distances and the true one has the real sizes
+ * and distances. Moons keep their visual distances on the logarithmic scale, so they're not inside their planets.
+ * 
+ * @param {*} definition       The body definition.
+ * @param {*} parentDefinition The orbited body definition.
+ * @param {*} random           The random number generator.
+ * @returns The radius, orbit semi-major axis and moon height factor for each scale mode.
+ */
+function bodyScales(definition, parentDefinition, random) {
+    const radius = visualRadius(definition);
+    const scales = {
+        [SCALE_VISUAL]: { radius: radius, semiMajorAxis: 0, heightFactor: 1 },
+        [SCALE_LOGARITHMIC]: { radius: radius, semiMajorAxis: 0, heightFactor: 1 },
+        [SCALE_TRUE]: { radius: definition.radius / KM_PER_UNIT, semiMajorAxis: 0, heightFactor: 0 }
+    };
+
+    if (definition.parent !== undefined) {
+        const semiMajorAxis = visualSemiMajorAxis(definition, parentDefinition, random);
+        scales[SCALE_VISUAL].semiMajorAxis = semiMajorAxis;
+        scales[SCALE_LOGARITHMIC].semiMajorAxis = definition.type === 'moon' ? semiMajorAxis : logarithmicDistance(definition.semiMajorAxis);
+        scales[SCALE_TRUE].semiMajorAxis = definition.semiMajorAxis / KM_PER_UNIT;
+    }
+
+    return scales;
+}
+
+/**
+ * Interpolates between the sizes of two scale modes. The interpolation is geometric, so switching between sizes
+ * hundreds of times apart looks as smooth as switching between close ones.
+ * 
+ * @param {*} from   The size on the scale mode being left.
+ * @param {*} to     The size on the scale mode being entered.
+ * @param {*} weight How far the switch went, from 0 (from) to 1 (to).
+ */
+function interpolateScale(from, to, weight) {
+    return from > 0 && to > 0 ? from * Math.pow(to / from, weight) : THREE.Math.lerp(from, to, weight);
+}
+
+/**
+ * Calculates the orbit time used on the screen for a body.
+ * 
+ * @param {*} definition The body definition.
+ * @param {*} random     The random number generator.
+ */
+function visualPeriod(definition, random) {
+    return (definition.visual.period || definition.period) * pickFromRange(definition.visual.periodFactor, 1, random);
+}
+
+/**
+ * Initialization function. This function will perform the application's initial setup.
+ * This will setup the renderer properties and the trackball controll.
+ */
+function init() {
+    // The renderer
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    renderer.setClearColor(new THREE.Color(0x000000));
+    renderer.setSize(window.innerWidth, window.innerHeight);
+
+    // Browsers tell which codecs they can encode videos with asynchronously, so they're asked ahead of recording.
+    findVideoCodec();
+
+    // Appends the renderer DOM to the document body.
+    document.body.appendChild(renderer.domElement);
+
+    // Add Trackball Controls.
+    trackballControls = new THREE.TrackballControls(camera, renderer.domElement);
+
+    // The canvas is described to screen readers, which are told about the bodies through the live region. Motion is
+    // reduced when the system asks for it.
+    renderer.domElement.setAttribute('role', 'img');
+    renderer.domElement.setAttribute('aria-label', 'Solar system simulation. Press H for the keyboard shortcuts.');
+    liveRegion = document.createElement('div');
+    liveRegion.className = 'visually-hidden';
+    liveRegion.setAttribute('role', 'status');
+    liveRegion.setAttribute('aria-live', 'polite');
+    document.body.appendChild(liveRegion);
+    setReducedMotion(!!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+
+    // The system's random parts come from its seed.
+    sceneProps.seed = initialSeed();
+
+    // The simulation starts at the current date, which is shown on the screen.
+    simulation = new Simulation(new Date());
+    dateDisplay = document.createElement('div');
+    dateDisplay.className = 'overlay simulation-date';
+    document.body.appendChild(dateDisplay);
+
+    // The date picker jumps to the start of the chosen day (UTC).
+    datePicker = document.createElement('input');
+    datePicker.type = 'date';
+    datePicker.className = 'date-picker';
+    datePicker.title = 'Jump to date';
+    datePicker.addEventListener('change', () => {
+        if (datePicker.valueAsDate) {
+            simulation.jumpTo(datePicker.valueAsDate);
+            clearTrails();
+        }
+    });
+    document.body.appendChild(datePicker);
+
+    // The notice listing the eclipses and transits happening.
+    eclipseNotice = document.createElement('div');
+    eclipseNotice.className = 'overlay eclipse-notice';
+    eclipseNotice.setAttribute('role', 'status');
+    eclipseNotice.style.display = 'none';
+    document.body.appendChild(eclipseNotice);
+
+    physicsPanel = document.createElement('div');
+    physicsPanel.className = 'overlay physics-panel';
+    physicsPanel.style.display = 'none';
+    document.body.appendChild(physicsPanel);
+
+    measurementPanel = document.createElement('div');
+    measurementPanel.className = 'overlay measurement-panel';
+    measurementPanel.style.display = 'none';
+    document.body.appendChild(measurementPanel);
+
+    // The caption of the tour step being played.
+    tourCaption = document.createElement('div');
+    tourCaption.className = 'overlay tour-caption';
+    tourCaption.style.display = 'none';
+    document.body.appendChild(tourCaption);
+}
+
+/**
+ * Function that will set up the application's camera and extra lights. The sun's emission light is
+ * done when creating the celestial objects. It's a constructor parameter.
+ */
+function setupCameraAndLight() {
+    camera.position.copy(CAMERA_POSITION);
+    camera.lookAt(scene.position);
+}
+
+/**
+ * Function that will create all the geometry on the scene. The celestial bodies are created from the
+ * solar system description, parents always before their satellites. The stars are drawn by the GPU as
+ * points on the sky.
+ */
+function createGeometry() {
+    // The Stars
+    rebuildStarfield();
+
+    // The Sun, the planets and their moons, each moved by its simulation body. Orbiting bodies pick their random
+    // parts from their own generator.
+    for (const definition of validateSystem(SOLAR_SYSTEM)) {
+        const parent = celestialBodyMap.get(definition.parent);
+        const isMoon = definition.type === 'moon';
+        let celestialBody;
+
+        if (definition.parent === undefined) {
+            const model = simulation.addBody(definition.name, { rotationPeriod: definition.rotationPeriod, spinSpeed: sceneProps.spinSpeed, mass: definition.mass });
+            celestialBody = new CelestialBody(definition.name, visualRadius(definition), definition.color, model, !!definition.emitsLight, definition);
+            celestialBody.setScales(bodyScales(definition));
+        } else {
+            const model = simulation.addBody(definition.name, {
+                parent: definition.parent,
+                orbit: definition.orbit,
+                ephemeris: definition.ephemeris,
+                rotationPeriod: definition.rotationPeriod,
+                speed: isMoon ? sceneProps.moonSpeed : sceneProps.planetSpeed,
+                spinSpeed: sceneProps.spinSpeed,
+                mass: definition.mass,
+                trueSemiMajorAxis: definition.semiMajorAxis,
+                truePeriod: definition.period
+            });
+            celestialBody = definition.type === 'comet'
+                ? new Comet(definition.name, visualRadius(definition), definition.color, model, parent, definition)
+                : new OrbitingCelestialBody(definition.name, visualRadius(definition), definition.color, model, parent, isMoon, definition);
+            celestialBody.randomize(bodyRandom(definition.name));
+        }
+
+        celestialBodies.push(celestialBody);
+        celestialBodyMap.set(definition.name, celestialBody);
+    }
+
+    // Adds the Sun's pivot, carrying the planets, the moons and their orbits, to the scene. The trails and comet
+    // tails are drawn where the bodies were, so they stay on the scene.
+    for (body of celestialBodies) {
+        if (!(body instanceof OrbitingCelestialBody)) {
+            scene.add(body.pivot);
+        } else {
+            scene.add(body.trail);
+        }
+        if (body instanceof Comet) {
+            scene.add(body.tail);
+        }
+    }
+    simulation.update();
+    updateBodies();
+    paintTrails();
+
+    // The names shown beside the bodies.
+    bodyLabels = new BodyLabels(celestialBodies);
+
+    // The belts of rocks, around the bodies already placed.
+    for (const definition of SOLAR_SYSTEM.belts || []) {
+        belts.push(createBelt(definition, definition.count, BELT_DENSITY));
+    }
+}
+
+/**
+ * Function that will create a belt's rocks and add them to the scene, at the current scale mode. The rocks are
+ * picked by the belt's own generator, so the belt is the same for the same seed, count and density.
+ * 
+ * @param {*} definition The belt definition.
+ * @param {*} count      The number of rocks.
+ * @param {*} density    How packed the rocks are around the belt's middle, from 0 to 1.
+ * @returns The belt created.
+ */
+function createBelt(definition, count, density) {
+    const random = bodyRandom(definition.name);
+    const model = simulation.addBelt(definition.name, {
+        parent: definition.parent,
+        count: count,
+        semiMajorAxis: definition.semiMajorAxis,
+        eccentricity: definition.eccentricity,
+        inclination: definition.inclination,
+        density: density,
+        speed: sceneProps.planetSpeed,
+        random: random,
+        parentMass: celestialBodyMap.get(definition.parent).metadata.mass
+    });
+
+    const belt = new Belt(definition, model, celestialBodyMap.get(definition.parent), random);
+    belt.applyScale(sceneProps.scaleMode, sceneProps.scaleMode, 1);
+    scene.add(belt.points);
+    return belt;
+}
+
+/**
+ * Function that will create a belt again with another count or density, replacing the old rocks.
+ * 
+ * @param {*} belt    The belt being replaced.
+ * @param {*} count   The new number of rocks.
+ * @param {*} density The new density, from 0 to 1.
+ * @returns The belt created.
+ */
+function rebuildBelt(belt, count, density) {
+    scene.remove(belt.points);
+    belt.dispose();
+
+    const rebuilt = createBelt(belt.definition, count, density);
+    rebuilt.points.visible = belt.points.visible;
+    belts[belts.indexOf(belt)] = rebuilt;
+    return rebuilt;
+}
+
+/**
+ * Function that will add all the possible controls on the window.
+ */
+function setupDatGui() {
+    const tours = [...validateTours(TOURS), recordedTour];
+
+    let controls = new function () {
+        this.showBodyMovement = sceneProps.showBodyMovement;
+        this.reverseTime = sceneProps.reverseTime;
+        this.timeScale = sceneProps.timeScale;
+        this.stepFrame = () => simulation.step(simulationDays(FRAME_TIME));
+        this.date = formatDate(simulation.date);
+        this.realPositions = sceneProps.realPositions;
+        this.focus = cameraFocus && cameraFocus.body ? cameraFocus.body.name : SCENE_CENTER;
+        this.shadowQuality = sceneProps.shadowQuality;
+        this.scaleMode = sceneProps.scaleMode;
+        this.showOrbits = sceneProps.showOrbits;
+        this.orbitColor = sceneProps.orbitColor;
+        this.showTrails = sceneProps.showTrails;
+        this.trailColor = sceneProps.trailColor;
+        this.trailLength = sceneProps.trailLength;
+        this.planetSpeed = sceneProps.planetSpeed;
+        this.moonSpeed = sceneProps.moonSpeed;
+        this.spinSpeed = sceneProps.spinSpeed;
+        this.showStars = starfield.points.visible;
+        this.numberOfStars = sceneProps.numberOfStars;
+        this.starDistribution = sceneProps.starDistribution;
+        this.starBrightness = sceneProps.starBrightness;
+        this.showPlanetLabels = sceneProps.showPlanetLabels;
+        this.showDwarfLabels = sceneProps.showDwarfLabels;
+        this.showCometLabels = sceneProps.showCometLabels;
+        this.showMoonLabels = sceneProps.showMoonLabels;
+        this.wireframe = celestialBodies.some((body) => body.material.wireframe);
+        this.copyLink = () => copyPermalink();
+        this.physics = sceneProps.physics;
+        this.perturbedBody = sceneProps.perturbedBody;
+        this.massFactor = sceneProps.massFactor;
+        this.resetPhysics = () => setPhysics(sceneProps.physics);
+        this.reducedMotion = sceneProps.reducedMotion;
+        this.toggleHelp = () => toggleHelp();
+        this.measureFrom = sceneProps.measureFrom;
+        this.measureTo = sceneProps.measureTo;
+        this.addMeasurement = () => addMeasurement(sceneProps.measureFrom, sceneProps.measureTo);
+        this.removeMeasurement = () => removeMeasurement(measurements[measurements.length - 1]);
+        this.clearMeasurements = () => measurements.slice().forEach(removeMeasurement);
+        this.tour = tours[0].name;
+        this.playTour = () => playTour(tours.find((tour) => tour.name === controls.tour));
+        this.stopTour = () => stopTour();
+        this.recordTourStep = () => recordTourStep();
+        this.clearRecording = () => {
+            recordedTour.steps = [];
+            announce('Recording cleared.');
+        };
+        this.seed = sceneProps.seed;
+        this.reroll = () => {
+            rerollSystem(newSeed());
+            controls.seed = sceneProps.seed;
+            seedController.updateDisplay();
+        };
+        this.captureResolution = sceneProps.captureResolution;
+        this.saveScreenshot = () => saveScreenshot();
+        this.videoFrameRate = sceneProps.videoFrameRate;
+        this.toggleRecording = () => {
+            if (videoRecording) {
+                stopRecording();
+            } else if (!startRecording()) {
+                recordController.name('Recording Not Supported');
+                announce('Video recording is not supported by this browser.');
+                return;
+            }
+            recordController.name(videoRecording ? 'Stop Recording' : 'Start Recording');
+        };
+    }
+
+    gui = new dat.GUI();
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all movement controls together.                                                                                                            //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const movementFolder = gui.addFolder('Movement Management');
+    movementFolder.add(controls, 'showBodyMovement').name('Move Bodies').onChange((move) => sceneProps.showBodyMovement = move);
+    movementFolder.add(controls, 'reverseTime').name('Reverse Time').onChange((reverse) => sceneProps.reverseTime = reverse);
+    movementFolder.add(controls, 'timeScale', TIME_SCALES[0], TIME_SCALES[1]).name('Days per Second').step(0.1).onChange((scale) => sceneProps.timeScale = scale);
+    movementFolder.add(controls, 'stepFrame').name('Step Frame');
+
+    // Jumps to the typed date, restoring the current one when it can't be parsed.
+    const dateController = movementFolder.add(controls, 'date').name('Jump to Date (UTC)');
+    dateController.onFinishChange((text) => {
+        const date = new Date(text);
+        if (!isNaN(date.getTime())) {
+            simulation.jumpTo(date);
+            clearTrails();
+        }
+        controls.date = formatDate(simulation.date);
+        dateController.updateDisplay();
+    });
+
+    // Places the planets where they really are on the simulation date. Their speed multiplier is ignored.
+    movementFolder.add(controls, 'realPositions').name('Real Positions').onChange((real) => {
+        sceneProps.realPositions = real;
+        simulation.realPositions = real;
+        setPhysics(sceneProps.physics);
+    });
+
+    // The speed multipliers are applied on top of the time scale. Planets move with their real periods at speed 1.
+    movementFolder.add(controls, 'planetSpeed', PLANET_SPEEDS[0], PLANET_SPEEDS[1]).name('Planets Speed').step(0.1).onChange((speed) => setBodySpeed('planetSpeed', speed));
+    movementFolder.add(controls, 'moonSpeed', MOON_SPEEDS[0], MOON_SPEEDS[1]).name('Moons Speed').step(0.1).onChange((speed) => setBodySpeed('moonSpeed', speed));
+
+    // Bodies spin on their real rotation periods at speed 1, which is too fast to follow at most time scales.
+    movementFolder.add(controls, 'spinSpeed', SPIN_SPEEDS[0], SPIN_SPEEDS[1]).name('Spin Speed').step(0.001).onChange((speed) => setSpinSpeed(speed));
+    movementFolder.close();
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all celestial body controls together.                                                                                                      //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const bodyFolder = gui.addFolder('Show / Hide Planets');
+
+    // Hides / shows the bodies orbiting the stars, following the hierarchy: bodies with satellites get their own
+    // folder, and hiding them hides their satellites too.
+    const addVisibilityControls = (folder, parent) => {
+        for (const body of celestialBodies.filter((body) => body.orbitedBody === parent)) {
+            const property = `show${body.name}`;
+            const hasSatellites = celestialBodies.some((satellite) => satellite.orbitedBody === body);
+            const bodyControls = hasSatellites ? folder.addFolder(`${body.name} System`) : folder;
+
+            controls[property] = body.pivot.visible;
+            bodyControls.add(controls, property).name(`Show ${body.name}`).onChange((visible) => body.pivot.visible = visible);
+            if (hasSatellites) {
+                addVisibilityControls(bodyControls, body);
+            }
+        }
+    };
+    celestialBodies.filter((body) => !body.orbitedBody).forEach((root) => addVisibilityControls(bodyFolder, root));
+
+    // Hides / shows all the stars rendered.
+    bodyFolder.add(controls, 'showStars').name('Show Stars').onChange((visible) => {
+        starfield.points.visible = visible;
+    });
+
+    // The stars are created again once their settings are picked.
+    const setStars = (property) => (value) => {
+        sceneProps[property] = value;
+        rebuildStarfield();
+    };
+    bodyFolder.add(controls, 'numberOfStars', 0, MAX_STARS).name('Number of Stars').step(1000).onFinishChange(setStars('numberOfStars'));
+    bodyFolder.add(controls, 'starDistribution', STAR_DISTRIBUTIONS).name('Star Distribution').onChange(setStars('starDistribution'));
+    bodyFolder.add(controls, 'starBrightness', STAR_BRIGHTNESS[0], STAR_BRIGHTNESS[1]).name('Star Brightness').step(0.1)
+        .onFinishChange(setStars('starBrightness'));
+    bodyFolder.close();
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all belt controls together.                                                                                                                //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const beltFolder = gui.addFolder('Belts');
+
+    // Each belt is created again once its count or density is picked, as that changes all its rocks.
+    belts.forEach((belt, index) => {
+        const beltControls = belt.saveState();
+        const folder = beltFolder.addFolder(belt.name);
+        folder.add(beltControls, 'visible').name('Show').onChange((visible) => {
+            belts[index].points.visible = visible;
+            belts[index].model.update(simulation.days);
+        });
+        folder.add(beltControls, 'count', 0, MAX_BELT_COUNT).name('Rocks').step(100)
+            .onFinishChange((count) => rebuildBelt(belts[index], count, belts[index].model.density));
+        folder.add(beltControls, 'density', 0, 1).name('Density').step(0.05)
+            .onFinishChange((density) => rebuildBelt(belts[index], belts[index].model.count, density));
+    });
+    beltFolder.close();
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all label controls together.                                                                                                               //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const labelFolder = gui.addFolder('Labels');
+    labelFolder.add(controls, 'showPlanetLabels').name('Planets').onChange((show) => sceneProps.showPlanetLabels = show);
+    labelFolder.add(controls, 'showDwarfLabels').name('Dwarf Planets').onChange((show) => sceneProps.showDwarfLabels = show);
+    labelFolder.add(controls, 'showCometLabels').name('Comets').onChange((show) => sceneProps.showCometLabels = show);
+    labelFolder.add(controls, 'showMoonLabels').name('Moons').onChange((show) => sceneProps.showMoonLabels = show);
+    labelFolder.close();
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all orbit and trail controls together.                                                                                                     //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const pathFolder = gui.addFolder('Orbits & Trails');
+    pathFolder.add(controls, 'showOrbits').name('Show Orbits').onChange((show) => sceneProps.showOrbits = show);
+    pathFolder.addColor(controls, 'orbitColor').name('Orbit Color').onChange((color) => {
+        sceneProps.orbitColor = color;
+        orbitMaterial.color.set(color);
+    });
+
+    // Trails are erased when hidden, so they don't connect old positions to new ones when shown again.
+    pathFolder.add(controls, 'showTrails').name('Show Trails').onChange((show) => {
+        sceneProps.showTrails = show;
+        clearTrails();
+    });
+    pathFolder.addColor(controls, 'trailColor').name('Trail Color').onChange((color) => {
+        sceneProps.trailColor = color;
+        paintTrails();
+    });
+    pathFolder.add(controls, 'trailLength', TRAIL_LENGTHS[0], TRAIL_LENGTHS[1]).name('Trail Length').step(10).onChange((length) => {
+        sceneProps.trailLength = length;
+        paintTrails();
+    });
+    pathFolder.close();
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all camera controls together.                                                                                                              //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const cameraFolder = gui.addFolder('Camera');
+    cameraFolder.add(controls, 'scaleMode', [SCALE_VISUAL, SCALE_LOGARITHMIC, SCALE_TRUE]).name('Scale').onChange((mode) => setScaleMode(mode));
+    cameraFolder.add(controls, 'focus', [SCENE_CENTER, ...celestialBodies.map((body) => body.name)]).name('Focus On')
+        .onChange((name) => focusOn(celestialBodyMap.get(name)));
+    cameraFolder.close();
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all measurement controls together.                                                                                                         //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const measurementFolder = gui.addFolder('Measurements');
+
+    // Several measurements can be shown at once, each between the two bodies picked when it was added.
+    const bodyNames = celestialBodies.map((body) => body.name);
+    measurementFolder.add(controls, 'measureFrom', bodyNames).name('From').onChange((name) => sceneProps.measureFrom = name);
+    measurementFolder.add(controls, 'measureTo', bodyNames).name('To').onChange((name) => sceneProps.measureTo = name);
+    measurementFolder.add(controls, 'addMeasurement').name('Add Measurement');
+    measurementFolder.add(controls, 'removeMeasurement').name('Remove Last');
+    measurementFolder.add(controls, 'clearMeasurements').name('Remove All');
+    measurementFolder.close();
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all shadow controls together.                                                                                                              //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const shadowFolder = gui.addFolder('Shadows');
+    shadowFolder.add(controls, 'shadowQuality', Object.keys(SHADOW_QUALITIES)).name('Shadow Quality').onChange((quality) => setShadowQuality(quality));
+    shadowFolder.close();
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all celestial body controls together.                                                                                                      //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    gui.add(controls, 'wireframe').name('Wireframe').onChange((wireframe) => {
+        for (const body of celestialBodies) {
+            body.setWireframe(wireframe);
+        }
+    });
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all capture controls together.                                                                                                             //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const captureFolder = gui.addFolder('Capture');
+    captureFolder.add(controls, 'captureResolution', Object.keys(CAPTURE_RESOLUTIONS)).name('PNG Resolution')
+        .onChange((resolution) => sceneProps.captureResolution = resolution);
+    captureFolder.add(controls, 'saveScreenshot').name('Save PNG');
+    captureFolder.add(controls, 'videoFrameRate', VIDEO_FRAME_RATES).name('Video Frame Rate')
+        .onChange((rate) => sceneProps.videoFrameRate = Number(rate));
+    const recordController = captureFolder.add(controls, 'toggleRecording').name('Start Recording');
+    captureFolder.close();
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all accessibility controls together.                                                                                                       //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const accessibilityFolder = gui.addFolder('Accessibility');
+
+    // Camera flights and scale switches happen at once, and the comet tails and the camera's inertia stop.
+    accessibilityFolder.add(controls, 'reducedMotion').name('Reduced Motion').onChange((reduced) => setReducedMotion(reduced));
+    accessibilityFolder.add(controls, 'toggleHelp').name('Keyboard Help');
+    accessibilityFolder.close();
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all physics controls together.                                                                                                             //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const physicsFolder = gui.addFolder('Physics');
+
+    // Moves the bodies by their mutual gravity instead of on their orbits. The speed multipliers are ignored.
+    physicsFolder.add(controls, 'physics').name('N-Body Gravity').onChange((enabled) => setPhysics(enabled));
+
+    // Multiplies one body's true mass, moving the bodies around it differently from then on.
+    const massBodies = celestialBodies.filter((body) => body.metadata.mass).map((body) => body.name);
+    physicsFolder.add(controls, 'perturbedBody', massBodies).name('Perturbed Body')
+        .onChange((name) => setPerturbation(name, sceneProps.massFactor));
+    physicsFolder.add(controls, 'massFactor', MASS_FACTORS[0], MASS_FACTORS[1]).name('Mass Factor').step(0.1)
+        .onChange((factor) => setPerturbation(sceneProps.perturbedBody, factor));
+    physicsFolder.add(controls, 'resetPhysics').name('Restart Physics');
+    physicsFolder.close();
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // Puts all tour controls together.                                                                                                                //
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const tourFolder = gui.addFolder('Tours');
+    tourFolder.add(controls, 'tour', tours.map((tour) => tour.name)).name('Tour');
+    tourFolder.add(controls, 'playTour').name('Play Tour');
+    tourFolder.add(controls, 'stopTour').name('Stop Tour');
+
+    // Steps are recorded from the current view onto the recorded tour, which is copied to be pasted on the tours file.
+    tourFolder.add(controls, 'recordTourStep').name('Record Step');
+    tourFolder.add(controls, 'clearRecording').name('Clear Recording');
+    tourFolder.close();
+
+    // The seed of the system's random parts, which can be typed in or rerolled.
+    const seedController = gui.add(controls, 'seed').name('Seed').onFinishChange((seed) => {
+        if (isValidSeed(seed)) {
+            rerollSystem(seed);
+        }
+        controls.seed = sceneProps.seed;
+        seedController.updateDisplay();
+    });
+    gui.add(controls, 'reroll').name('Reroll');
+
+    // Copies a link to exactly what's on the screen.
+    gui.add(controls, 'copyLink').name('Copy Link');
+}
+
+/**
+ * Function that will set up the keyboard shortcuts and their help overlay. The shortcuts go through the same GUI
+ * controls as the mouse, so the GUI always shows the current values. Keys are left alone while typing on a field.
+ */
+function setupKeyboard() {
+    helpOverlay = document.createElement('div');
+    helpOverlay.className = 'overlay help-overlay';
+    helpOverlay.setAttribute('role', 'dialog');
+    helpOverlay.setAttribute('aria-label', 'Keyboard shortcuts');
+    helpOverlay.innerHTML = '<b>Keyboard Shortcuts</b><table>' +
+        KEY_BINDINGS.map(([keys, description]) => `<tr><td>${keys}</td><td>${description}</td></tr>`).join('') + '</table>';
+    helpOverlay.style.display = 'none';
+    document.body.appendChild(helpOverlay);
+
+    const focusKeys = [SOLAR_SYSTEM.bodies[0], ...SOLAR_SYSTEM.bodies.filter((body) => body.type === 'planet' || body.type === 'dwarf')]
+        .slice(0, 10).map((body) => body.name);
+
+    window.addEventListener('keydown', (event) => {
+        const target = event.target || {};
+        if (event.ctrlKey || event.metaKey || event.altKey || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable) {
+            return;
+        }
+
+        const key = event.key;
+        if (key === ' ') {
+            setController('showBodyMovement', !sceneProps.showBodyMovement);
+            announce(sceneProps.showBodyMovement ? 'Bodies moving.' : 'Bodies paused.');
+        } else if (key === '+' || key === '=' || key === '-' || key === '_') {
+            const factor = key === '-' || key === '_' ? 1 / SPEED_STEP : SPEED_STEP;
+            setController('timeScale', THREE.Math.clamp(Number((sceneProps.timeScale * factor).toFixed(1)), TIME_SCALES[0], TIME_SCALES[1]));
+            announce(`${sceneProps.timeScale} days per second.`);
+        } else if (/^[0-9]$/.test(key) && focusKeys[Number(key)]) {
+            setController('focus', focusKeys[Number(key)]);
+        } else if (key === 'w' || key === 'W') {
+            const wireframe = !celestialBodies.some((body) => body.material.wireframe);
+            setController('wireframe', wireframe);
+            announce(wireframe ? 'Wireframe on.' : 'Wireframe off.');
+        } else if (key.startsWith('Arrow')) {
+            const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[key];
+            orbitCamera(steps[0] * KEY_ORBIT_STEP, steps[1] * KEY_ORBIT_STEP);
+        } else if (key === 'm' || key === 'M') {
+            setController('reducedMotion', !sceneProps.reducedMotion);
+            announce(sceneProps.reducedMotion ? 'Reduced motion on.' : 'Reduced motion off.');
+        } else if (key === 'h' || key === 'H' || key === '?') {
+            toggleHelp();
+        } else if (key === 'Escape') {
+            selectBody(undefined);
+            stopTour();
+            toggleHelp(false);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+}
+
+/**
+ * Function that will change a value through its GUI control, as if changed with the mouse.
+ * 
+ * @param {*} property The controlled property.
+ * @param {*} value    The new value.
+ */
+function setController(property, value) {
+    const findController = (folder) => folder.__controllers.find((controller) => controller.property === property) ||
+        Object.values(folder.__folders).map(findController).find((controller) => controller);
+
+    const controller = findController(gui);
+    if (controller) {
+        controller.setValue(value);
+    }
+}
+
+/**
+ * Function that will orbit the camera around its target, as dragging the trackball would. The camera can't be
+ * orbited while it flies to a body.
+ * 
+ * @param {*} horizontal The angle to orbit around the camera's up direction, in degrees.
+ * @param {*} vertical   The angle to orbit around the camera's right direction, in degrees.
+ */
+function orbitCamera(horizontal, vertical) {
+    if (!trackballControls.enabled) {
+        return;
+    }
+
+    const offset = camera.position.clone().sub(trackballControls.target);
+    const right = new THREE.Vector3().crossVectors(offset, camera.up).normalize();
+    const rotation = new THREE.Quaternion().setFromAxisAngle(camera.up, THREE.Math.degToRad(horizontal))
+        .multiply(new THREE.Quaternion().setFromAxisAngle(right, THREE.Math.degToRad(vertical)));
+
+    camera.up.applyQuaternion(rotation);
+    camera.position.copy(trackballControls.target).add(offset.applyQuaternion(rotation));
+    camera.lookAt(trackballControls.target);
+}
+
+/**
+ * Function that will show or hide the keyboard help.
+ * 
+ * @param {*} show Whether the help is shown. It's toggled when not given.
+ */
+function toggleHelp(show = helpOverlay.style.display === 'none') {
+    helpOverlay.style.display = show ? '' : 'none';
+}
+
+/**
+ * Function that will turn the reduced motion on or off. With reduced motion, the camera and the scale switches
+ * jump straight to their ends, the comet tails stop streaming and the camera stops as soon as it's released.
+ * 
+ * @param {*} reduced Whether the motion is reduced.
+ */
+function setReducedMotion(reduced) {
+    sceneProps.reducedMotion = reduced;
+    trackballControls.staticMoving = reduced;
+}
+
+/**
+ * Function that will announce a message to screen readers. Repeated messages are changed slightly, so they're
+ * announced again.
+ * 
+ * @param {*} text The message.
+ */
+function announce(text) {
+    liveRegion.textContent = liveRegion.textContent === text ? `${text}\u00a0` : text;
+}
+
+/**
+ * Function that will set up the body selection. A click on a body selects it, highlighting it and showing its
+ * information on the screen, while a click on the empty space clears the selection. Drags are left to the
+ * trackball controls.
+ */
+function setupSelection() {
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const pressed = new THREE.Vector2();
+
+    infoPanel = document.createElement('div');
+    infoPanel.className = 'overlay info-panel';
+    infoPanel.style.display = 'none';
+    document.body.appendChild(infoPanel);
+
+    selectionOutline = new THREE.Mesh(
+        new THREE.SphereGeometry(1, 25, 25),
+        new THREE.MeshBasicMaterial({ color: 0xffff00, side: THREE.BackSide, transparent: true, opacity: 0.5 })
+    );
+
+    renderer.domElement.addEventListener('mousedown', (event) => pressed.set(event.clientX, event.clientY));
+    renderer.domElement.addEventListener('mouseup', (event) => {
+        if (pressed.distanceTo(new THREE.Vector2(event.clientX, event.clientY)) > CLICK_TOLERANCE) {
+            return;
+        }
+
+        const rect = renderer.domElement.getBoundingClientRect();
+        pointer.set((event.clientX - rect.left) / rect.width * 2 - 1, -(event.clientY - rect.top) / rect.height * 2 + 1);
+        raycaster.setFromCamera(pointer, camera);
+
+        const meshes = celestialBodies.filter((celestialBody) => celestialBody.isVisible()).map((celestialBody) => celestialBody.body);
+        const [intersection] = raycaster.intersectObjects(meshes);
+        selectBody(intersection ? intersection.object.userData.celestialBody : undefined);
+    });
+}
+
+/**
+ * Function that will select a body, moving the highlight outline to it. Passing undefined clears the selection.
+ * 
+ * @param {*} celestialBody The body to be selected.
+ */
+function selectBody(celestialBody) {
+    if (selectedBody) {
+        selectedBody.body.remove(selectionOutline);
+    }
+
+    selectedBody = celestialBody;
+    infoPanel.style.display = selectedBody ? '' : 'none';
+
+    if (selectedBody) {
+        selectionOutline.scale.setScalar(OUTLINE_SCALE);
+        selectedBody.body.add(selectionOutline);
+        updateInfoPanel();
+        announce(describeBody(selectedBody));
+    }
+}
+
+/**
+ * Function that returns a short description of a body, as announced to screen readers.
+ * 
+ * @param {*} celestialBody The body to be described.
+ */
+function describeBody(celestialBody) {
+    const { name, metadata } = celestialBody;
+    if (!(celestialBody instanceof OrbitingCelestialBody)) {
+        return `${name}, ${metadata.type}, ${formatNumber(metadata.radius)} km in radius.`;
+    }
+
+    return `${name}, ${metadata.type}, ${formatNumber(metadata.radius, 1)} km in radius, ` +
+        `${formatNumber(celestialBody.realDistance())} km from ${celestialBody.orbitedBody.name}.`;
+}
+
+/**
+ * Function that will update the information shown for the selected body.
+ */
+function updateInfoPanel() {
+    const { name, metadata } = selectedBody;
+    const lines = [
+        `<b>${name}</b> (${metadata.type})`,
+        `True radius: ${formatNumber(metadata.radius)} km`,
+        `Scaled radius: ${selectedBody.radius.toFixed(3)} units`
+    ];
+
+    if (selectedBody instanceof OrbitingCelestialBody) {
+        const distance = selectedBody.position.distanceTo(selectedBody.orbitedBody.position);
+        lines.push(
+            `Orbital period: ${formatNumber(metadata.period, 2)} days`,
+            `Distance from ${selectedBody.orbitedBody.name}: ${formatNumber(selectedBody.realDistance())} km (${distance.toFixed(2)} units)`,
+            `Speed: ${formatNumber(selectedBody.realSpeed(), 2)} km/s`
+        );
+    }
+
+    infoPanel.innerHTML = lines.join('<br>');
+}
+
+/**
+ * Function that formats a number with thousands separators.
+ * 
+ * @param {*} value    The number to be formatted.
+ * @param {*} decimals The number of decimal places.
+ */
+function formatNumber(value, decimals = 0) {
+    return value.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+/**
+ * Function that will format a duration in seconds, minutes or hours, whichever reads best.
+ * 
+ * @param {*} seconds The duration in seconds.
+ */
+function formatDuration(seconds) {
+    if (seconds < 60) {
+        return `${formatNumber(seconds, 2)} s`;
+    }
+
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) {
+        return `${minutes} min ${Math.floor(seconds % 60)} s`;
+    }
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/**
+ * Function that will make the camera fly to a body and keep following it as it moves. The user can still rotate
+ * and zoom around the body once the camera gets there. Passing undefined flies back to the scene's center. Any tour
+ * being played is stopped.
+ * 
+ * @param {*} celestialBody The body to be focused.
+ */
+function focusOn(celestialBody) {
+    stopTour();
+    const fromTarget = trackballControls.target.clone();
+    let offset;
+
+    if (celestialBody) {
+        const distance = Math.max(celestialBody.radius * FOCUS_DISTANCE, camera.near * MIN_FOCUS_DISTANCE);
+        offset = camera.position.clone().sub(fromTarget).normalize().multiplyScalar(distance);
+    } else {
+        offset = CAMERA_POSITION.clone();
+    }
+
+    announce(celestialBody ? `Focused on ${celestialBody.name}.` : 'Focused on the scene center.');
+    trackballControls.enabled = false;
+    cameraFocus = {
+        body: celestialBody,
+        offset: offset,
+        fromPosition: camera.position.clone(),
+        fromTarget: fromTarget,
+        elapsed: 0,
+        lastPosition: undefined
+    };
+}
+
+/**
+ * Function that will update the camera while it flies to the focused body or follows it.
+ * 
+ * @param {*} delta The real elapsed time in seconds.
+ */
+function updateCameraFocus(delta) {
+    if (!cameraFocus) {
+        return;
+    }
+
+    const focusPosition = cameraFocus.body ? cameraFocus.body.position : scene.position;
+
+    // Flies to the body, easing in and out of the movement.
+    if (cameraFocus.elapsed < FLIGHT_DURATION) {
+        cameraFocus.elapsed = sceneProps.reducedMotion ? FLIGHT_DURATION : Math.min(cameraFocus.elapsed + delta, FLIGHT_DURATION);
+        const t = THREE.Math.smoothstep(cameraFocus.elapsed, 0, FLIGHT_DURATION);
+
+        trackballControls.target.lerpVectors(cameraFocus.fromTarget, focusPosition, t);
+        camera.position.lerpVectors(cameraFocus.fromPosition, focusPosition.clone().add(cameraFocus.offset), t);
+
+        if (cameraFocus.elapsed === FLIGHT_DURATION) {
+            trackballControls.enabled = true;
+            cameraFocus.lastPosition = focusPosition.clone();
+        }
+        return;
+    }
+
+    // Follows the body, moving the camera as much as the body moved.
+    const movement = focusPosition.clone().sub(cameraFocus.lastPosition);
+    camera.position.add(movement);
+    trackballControls.target.add(movement);
+    cameraFocus.lastPosition.copy(focusPosition);
+}
+
+/**
+ * Function that will make the camera follow a body straight away, from where it is, without flying to it.
+ * 
+ * @param {*} celestialBody The body to be followed.
+ */
+function followBody(celestialBody) {
+    cameraFocus = {
+        body: celestialBody,
+        offset: camera.position.clone().sub(trackballControls.target),
+        fromPosition: camera.position.clone(),
+        fromTarget: trackballControls.target.clone(),
+        elapsed: FLIGHT_DURATION,
+        lastPosition: celestialBody.position.clone()
+    };
+}
+
+/**
+ * Function that will start playing a guided tour. The tour takes the camera over from the trackball controls,
+ * handing it back when it ends or is stopped.
+ * 
+ * @param {*} tour The tour to be played.
+ */
+function playTour(tour) {
+    stopTour();
+    if (!tour || tour.steps.length === 0) {
+        return;
+    }
+
+    cameraFocus = undefined;
+    trackballControls.enabled = false;
+    tourPlayback = { tour: tour };
+    beginTourStep(0);
+}
+
+/**
+ * Function that will start a tour step: the step's settings are changed through their GUI controls, as if changed
+ * with the mouse, and its caption is shown and announced. The camera starts flying from where it is.
+ * 
+ * @param {*} index The step's index on the tour.
+ */
+function beginTourStep(index) {
+    const step = tourPlayback.tour.steps[index];
+
+    if (step.scaleMode !== undefined && step.scaleMode !== sceneProps.scaleMode) {
+        setController('scaleMode', step.scaleMode);
+    }
+    if (step.realPositions !== undefined && step.realPositions !== sceneProps.realPositions) {
+        setController('realPositions', step.realPositions);
+    }
+    if (step.date !== undefined) {
+        simulation.jumpTo(new Date(step.date));
+        clearTrails();
+    }
+    if (step.timeScale !== undefined) {
+        setController('timeScale', step.timeScale);
+    }
+    if (step.hidden !== undefined) {
+        for (const body of celestialBodies.filter((body) => body.orbitedBody)) {
+            setController(`show${body.name}`, !step.hidden.includes(body.name));
+        }
+    }
+
+    Object.assign(tourPlayback, {
+        index: index,
+        step: step,
+        body: celestialBodyMap.get(step.focus),
+        elapsed: 0,
+        fromPosition: camera.position.clone(),
+        fromTarget: trackballControls.target.clone(),
+        fromUp: camera.up.clone()
+    });
+    tourCaption.textContent = step.caption;
+    tourCaption.style.display = step.caption ? '' : 'none';
+    announce(step.caption);
+}
+
+/**
+ * Function that will fly the camera through the tour being played, easing in and out of each flight and moving
+ * on to the next step once the step's hold time is over.
+ * 
+ * @param {*} delta The real elapsed time in seconds.
+ */
+function updateTour(delta) {
+    if (!tourPlayback) {
+        return;
+    }
+
+    const step = tourPlayback.step;
+    const flight = step.flight !== undefined ? step.flight : TOUR_FLIGHT;
+    const hold = step.hold !== undefined ? step.hold : TOUR_HOLD;
+    tourPlayback.elapsed = sceneProps.reducedMotion ? Math.max(tourPlayback.elapsed + delta, flight) : tourPlayback.elapsed + delta;
+    const t = flight > 0 ? THREE.Math.smoothstep(tourPlayback.elapsed, 0, flight) : 1;
+
+    // The step's view is relative to the focused body, so the camera follows it once there.
+    const origin = tourPlayback.body ? tourPlayback.body.position : scene.position;
+    const target = origin.clone().add(new THREE.Vector3().fromArray(step.target || [0, 0, 0]));
+    trackballControls.target.lerpVectors(tourPlayback.fromTarget, target, t);
+    camera.position.lerpVectors(tourPlayback.fromPosition, origin.clone().add(new THREE.Vector3().fromArray(step.position)), t);
+    camera.up.lerpVectors(tourPlayback.fromUp, TOUR_UP, t).normalize();
+    camera.lookAt(trackballControls.target);
+
+    if (tourPlayback.elapsed >= flight + hold) {
+        if (tourPlayback.index + 1 < tourPlayback.tour.steps.length) {
+            beginTourStep(tourPlayback.index + 1);
+        } else {
+            stopTour();
+        }
+    }
+}
+
+/**
+ * Function that will stop the tour being played, if any, handing the camera back to the trackball controls. The
+ * camera keeps following the last step's body.
+ */
+function stopTour() {
+    if (!tourPlayback) {
+        return;
+    }
+
+    const body = tourPlayback.body;
+    tourPlayback = undefined;
+    tourCaption.style.display = 'none';
+    trackballControls.enabled = true;
+    if (body) {
+        followBody(body);
+    }
+    announce('Tour ended.');
+}
+
+/**
+ * Function that will record the current view as a tour step, relative to the followed body, and copy the recorded
+ * tour so it can be pasted on the tours file. The step's caption is left to be written.
+ */
+function recordTourStep() {
+    const body = cameraFocus && cameraFocus.body;
+    const origin = body ? body.position : scene.position;
+
+    recordedTour.steps.push({
+        caption: '',
+        focus: body ? body.name : undefined,
+        position: camera.position.clone().sub(origin).toArray().map(roundNumber),
+        target: trackballControls.target.clone().sub(origin).toArray().map(roundNumber),
+        flight: TOUR_FLIGHT,
+        hold: TOUR_HOLD,
+        date: simulation.date.toISOString(),
+        timeScale: sceneProps.timeScale,
+        scaleMode: sceneProps.scaleMode,
+        realPositions: sceneProps.realPositions,
+        hidden: celestialBodies.filter((body) => body.orbitedBody && !body.pivot.visible).map((body) => body.name)
+    });
+
+    announce(`Step ${recordedTour.steps.length} recorded.`);
+    copyText(JSON.stringify(recordedTour, null, 4), 'Copy the recorded tour:');
+}
+
+/**
+ * Function that will paint all trails with the current trail color and length.
+ */
+function paintTrails() {
+    const color = new THREE.Color(sceneProps.trailColor);
+    for (const body of celestialBodies.filter((body) => body instanceof OrbitingCelestialBody)) {
+        body.paintTrail(color, sceneProps.trailLength);
+    }
+}
+
+/**
+ * Function that will erase all trails, used when the bodies jump to far positions.
+ */
+function clearTrails() {
+    for (const body of celestialBodies.filter((body) => body instanceof OrbitingCelestialBody)) {
+        body.clearTrail();
+    }
+}
+
+/**
+ * Function that will change the shadow quality. The shadow maps are disposed, so they're created again with the
+ * new size. The Off quality stops casting shadows.
+ * 
+ * @param {*} quality The shadow quality, one of the SHADOW_QUALITIES keys.
+ */
+function setShadowQuality(quality) {
+    sceneProps.shadowQuality = quality;
+
+    for (const body of celestialBodies.filter((body) => body.emitsLight)) {
+        const shadow = body.light.shadow;
+        body.light.castShadow = SHADOW_QUALITIES[quality] > 0;
+
+        if (body.light.castShadow) {
+            shadow.mapSize.setScalar(shadowMapSize(quality));
+        }
+        if (shadow.map) {
+            shadow.map.dispose();
+            shadow.map = null;
+        }
+    }
+}
+
+/**
+ * Function that returns the shadow map size of a shadow quality, as big as the GPU allows for point lights.
+ * 
+ * @param {*} quality The shadow quality, one of the SHADOW_QUALITIES keys.
+ */
+function shadowMapSize(quality) {
+    return Math.min(SHADOW_QUALITIES[quality], renderer.capabilities.maxTextureSize / POINT_SHADOW_FACES);
+}
+
+/**
+ * Function that finds the eclipses and transits happening. A body is in the shadow of another one when the other
+ * body lies between it and a light emitting body, close enough to the line joining them for their disks to
+ * overlap as seen from the light.
+ * 
+ * @returns The descriptions of the eclipses and transits found.
+ */
+function findEclipses() {
+    const events = [];
+    const visibleBodies = celestialBodies.filter((body) => body.isVisible());
+    const toTarget = new THREE.Vector3();
+    const toOccluder = new THREE.Vector3();
+
+    for (const light of visibleBodies.filter((body) => body.emitsLight)) {
+        for (const target of visibleBodies.filter((body) => !body.emitsLight)) {
+            toTarget.subVectors(target.position, light.position);
+
+            for (const occluder of visibleBodies.filter((body) => body !== target && !body.emitsLight)) {
+                toOccluder.subVectors(occluder.position, light.position);
+                const along = toOccluder.dot(toTarget) / toTarget.lengthSq();
+                const distance = toOccluder.distanceTo(toTarget.clone().multiplyScalar(along));
+
+                // The lights are points, so the shadow is a cone: the target's radius shrinks back to the occluder's
+                // distance from the light.
+                if (along <= 0 || along >= 1 || distance >= occluder.radius + target.radius * along) {
+                    continue;
+                }
+
+                if (occluder.orbitedBody === target) {
+                    events.push(`Solar eclipse on ${target.name}: ${occluder.name} covers ${light.name}`);
+                } else if (target.orbitedBody === occluder) {
+                    events.push(`Eclipse of ${target.name}: it's in ${occluder.name}'s shadow`);
+                } else {
+                    events.push(`Transit: ${occluder.name} crosses ${light.name} as seen from ${target.name}`);
+                }
+            }
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Function that will show the eclipses and transits happening, hiding the notice when there's none.
+ */
+function updateEclipseNotice() {
+    const events = findEclipses();
+    const text = events.join('\n');
+
+    if (eclipseNotice.textContent !== text) {
+        eclipseNotice.textContent = text;
+        eclipseNotice.style.display = events.length ? '' : 'none';
+    }
+}
+
+/**
+ * Function that will start switching to another scale mode. While switching, the camera's planes cover both modes.
+ * 
+ * @param {*} mode The scale mode to switch to.
+ */
+function setScaleMode(mode) {
+    if (scaleTransition) {
+        finishScaleTransition();
+    }
+
+    const from = CAMERA_PLANES[sceneProps.scaleMode];
+    const to = CAMERA_PLANES[mode];
+    setCameraPlanes(Math.min(from.near, to.near), Math.max(from.far, to.far));
+
+    scaleTransition = { from: sceneProps.scaleMode, to: mode, elapsed: 0 };
+    sceneProps.scaleMode = mode;
+    clearTrails();
+}
+
+/**
+ * Function that will resize the bodies while switching scale modes, easing in and out of the switch.
+ * 
+ * @param {*} delta The real elapsed time in seconds.
+ */
+function updateScaleTransition(delta) {
+    if (!scaleTransition) {
+        return;
+    }
+
+    scaleTransition.elapsed = sceneProps.reducedMotion ? SCALE_TRANSITION : Math.min(scaleTransition.elapsed + delta, SCALE_TRANSITION);
+    const weight = THREE.Math.smootherstep(scaleTransition.elapsed, 0, SCALE_TRANSITION);
+    for (const body of [...celestialBodies, ...belts]) {
+        body.applyScale(scaleTransition.from, scaleTransition.to, weight);
+    }
+
+    if (scaleTransition.elapsed === SCALE_TRANSITION) {
+        finishScaleTransition();
+    }
+}
+
+/**
+ * Function that will finish switching scale modes, setting the bodies' final sizes and the camera's planes.
+ */
+function finishScaleTransition() {
+    for (const body of [...celestialBodies, ...belts]) {
+        body.applyScale(scaleTransition.from, scaleTransition.to, 1);
+    }
+
+    const planes = CAMERA_PLANES[scaleTransition.to];
+    setCameraPlanes(planes.near, planes.far);
+    scaleTransition = undefined;
+    clearTrails();
+}
+
+/**
+ * Function that will set the camera's near and far planes. The shadows reach as far as the camera sees.
+ * 
+ * @param {*} near The near plane distance.
+ * @param {*} far  The far plane distance.
+ */
+function setCameraPlanes(near, far) {
+    camera.near = near;
+    camera.far = far;
+    camera.updateProjectionMatrix();
+
+    for (const body of celestialBodies.filter((body) => body.emitsLight)) {
+        body.light.shadow.camera.far = SHADOW_DISTANCE * far / CAMERA_PLANES[SCALE_VISUAL].far;
+        body.light.shadow.camera.updateProjectionMatrix();
+    }
+}
+
+/**
+ * Function that returns the seed the system starts with: the seed URL parameter, when it's valid, or a new seed.
+ */
+function initialSeed() {
+    const parameter = new URLSearchParams(window.location.search).get('seed');
+    if (parameter === null) {
+        return newSeed();
+    }
+
+    const seed = Number(parameter);
+    if (!isValidSeed(seed)) {
+        console.warn(`The seed '${parameter}' is not an integer from 0 to ${MAX_SEED}, using a new seed instead.`);
+        return newSeed();
+    }
+    return seed;
+}
+
+/**
+ * Function that checks whether a value is a valid seed, an integer from 0 to the maximum seed.
+ * 
+ * @param {*} seed The value checked.
+ */
+function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+/**
+ * Function that checks whether a value is a number inside a [min, max] range.
+ * 
+ * @param {*} value The value checked.
+ * @param {*} range The range, limits included.
+ */
+function isInRange(value, range) {
+    return typeof value === 'number' && value >= range[0] && value <= range[1];
+}
+
+/**
+ * Function that returns a new random seed. It's the only use of Math.random, everything else being random through
+ * generators seeded by the system's seed.
+ */
+function newSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Function that returns the random number generator of a body, seeded by the system's seed and the body's name.
+ * 
+ * @param {*} name The body's name.
+ */
+function bodyRandom(name) {
+    return seededRandom(deriveSeed(sceneProps.seed, name));
+}
+
+/**
+ * Function that will create the stars again with the current star settings, freeing the old stars' GPU resources.
+ * The stars keep their visibility.
+ */
+function rebuildStarfield() {
+    const visible = starfield ? starfield.points.visible : true;
+    if (starfield) {
+        scene.remove(starfield.points);
+        starfield.dispose();
+    }
+
+    starfield = new Starfield(sceneProps.numberOfStars, seededRandom(deriveSeed(sceneProps.seed, 'stars')), sceneProps.starDistribution, sceneProps.starBrightness);
+    starfield.points.visible = visible;
+    scene.add(starfield.points);
+}
+
+/**
+ * Function that will rebuild the random parts of the system with another seed: the stars and the orbiting bodies'
+ * visual orbits. The seed is kept on the URL, so reloading the page rebuilds the same system.
+ * 
+ * @param {*} seed The new seed.
+ */
+function rerollSystem(seed) {
+    sceneProps.seed = seed;
+    rebuildStarfield();
+
+    for (const body of celestialBodies.filter((body) => body instanceof OrbitingCelestialBody)) {
+        body.randomize(bodyRandom(body.name));
+    }
+    for (const belt of belts.slice()) {
+        rebuildBelt(belt, belt.model.count, belt.model.density);
+    }
+    setPhysics(sceneProps.physics);
+    updateBodies();
+    clearTrails();
+
+    const parameters = new URLSearchParams(window.location.search);
+    parameters.set('seed', seed);
+    window.history.replaceState(null, '', `?${parameters}${window.location.hash}`);
+}
+
+/**
+ * Function that will turn the N-body physics on or off. Turning it on, even if already on, starts it again from
+ * where the bodies are on their orbits, with the perturbed body's mass.
+ * 
+ * @param {*} enabled Whether the bodies are moved by their mutual gravity.
+ */
+function setPhysics(enabled) {
+    sceneProps.physics = enabled;
+    setPerturbation(sceneProps.perturbedBody, sceneProps.massFactor);
+    if (enabled) {
+        simulation.startPhysics();
+    } else {
+        simulation.stopPhysics();
+    }
+    updateBodies();
+    clearTrails();
+    updatePhysicsPanel();
+}
+
+/**
+ * Function that will multiply one body's true mass, restoring all the other bodies' true masses.
+ * 
+ * @param {*} name   The name of the perturbed body.
+ * @param {*} factor The factor multiplying its true mass.
+ */
+function setPerturbation(name, factor) {
+    sceneProps.perturbedBody = name;
+    sceneProps.massFactor = factor;
+    for (const body of celestialBodies.filter((body) => body.metadata.mass)) {
+        const mass = body.metadata.mass * (body.name === name ? factor : 1);
+        if (body.model.mass !== mass) {
+            simulation.setMass(body.name, mass);
+        }
+    }
+}
+
+/**
+ * Function that will update the physics diagnostics: how far the total energy drifted since the physics started,
+ * and the steps the last frame took.
+ */
+function updatePhysicsPanel() {
+    const physics = simulation.physics;
+    physicsPanel.style.display = physics ? '' : 'none';
+    if (!physics) {
+        return;
+    }
+
+    physicsPanel.innerHTML = [
+        '<b>N-Body Gravity</b>',
+        `Energy drift: ${physics.energyDrift().toExponential(2)}`,
+        `Steps per frame: ${physics.steps} x ${formatNumber(physics.step * HOURS_PER_DAY, 2)} h`
+    ].join('<br>');
+}
+
+/**
+ * Function that will add a measurement between two bodies, unless they're the same body or already measured.
+ * 
+ * @param {*} fromName The name of the body measured from.
+ * @param {*} toName   The name of the body measured to.
+ */
+function addMeasurement(fromName, toName) {
+    const from = celestialBodyMap.get(fromName);
+    const to = celestialBodyMap.get(toName);
+    const measured = (measurement) => [measurement.from, measurement.to].includes(from) && [measurement.from, measurement.to].includes(to);
+    if (!from || !to || from === to || measurements.some(measured)) {
+        return;
+    }
+
+    // Each line takes the first color not taken yet, repeating them once they're all taken.
+    const color = MEASUREMENT_COLORS.find((color) => !measurements.some((measurement) => measurement.color === color)) ||
+        MEASUREMENT_COLORS[measurements.length % MEASUREMENT_COLORS.length];
+    const measurement = new Measurement(from, to, color);
+    measurement.update();
+    scene.add(measurement.line);
+    measurements.push(measurement);
+
+    const { distance, lightTime } = measurement.measure();
+    announce(`${fromName} to ${toName}: ${formatNumber(distance / KM_PER_AU, 4)} AU, ${formatDuration(lightTime)} at the speed of light.`);
+}
+
+/**
+ * Function that will remove a measurement and its line.
+ * 
+ * @param {*} measurement The measurement to be removed.
+ */
+function removeMeasurement(measurement) {
+    if (!measurement) {
+        return;
+    }
+
+    scene.remove(measurement.line);
+    measurement.dispose();
+    measurements.splice(measurements.indexOf(measurement), 1);
+}
+
+/**
+ * Function that will update the measurements' lines and their descriptions after the bodies moved.
+ */
+function updateMeasurements() {
+    measurementPanel.style.display = measurements.length ? '' : 'none';
+    if (!measurements.length) {
+        return;
+    }
+
+    measurements.forEach((measurement) => measurement.update());
+    measurementPanel.innerHTML = measurements.map((measurement) => measurement.describe()).join('<br><br>');
+}
+
+/**
+ * Function that will change one of the body speed multipliers, keeping the bodies where they are.
+ * 
+ * @param {*} property The scene property holding the multiplier, planetSpeed or moonSpeed.
+ * @param {*} speed    The new speed multiplier.
+ */
+function setBodySpeed(property, speed) {
+    sceneProps[property] = speed;
+    for (const body of celestialBodies.filter((body) => body instanceof OrbitingCelestialBody)) {
+        body.model.setSpeed(simulation.days, body.speed());
+    }
+    for (const belt of belts) {
+        belt.model.setSpeed(simulation.days, sceneProps.planetSpeed);
+    }
+}
+
+/**
+ * Function that will change the spin speed multiplier, keeping the bodies' spins where they are.
+ * 
+ * @param {*} speed The new spin speed multiplier.
+ */
+function setSpinSpeed(speed) {
+    sceneProps.spinSpeed = speed;
+    for (const body of celestialBodies) {
+        body.model.setSpinSpeed(simulation.days, speed);
+    }
+}
+
+/**
+ * Function that returns how much the simulation time, in days, advances in the given real time. The time goes
+ * backwards when it's reversed.
+ * 
+ * @param {*} seconds The real elapsed time in seconds.
+ */
+function simulationDays(seconds) {
+    return (sceneProps.reverseTime ? -1 : 1) * sceneProps.timeScale * seconds;
+}
+
+/**
+ * Function that formats a date as shown on the screen, in UTC.
+ * 
+ * @param {*} date The date to be formatted.
+ */
+function formatDate(date) {
+    return date.toISOString().replace('T', ' ').substring(0, 16);
+}
+
+/**
+ * Function that returns the name of the captured files, after the simulation date.
+ */
+function captureFileName() {
+    return `solar-system-${simulation.date.toISOString().replace(/:/g, '-').substring(0, 19)}`;
+}
+
+/**
+ * Function that will download a file created by the page.
+ * 
+ * @param {*} blob     The file contents.
+ * @param {*} fileName The file name.
+ */
+function downloadFile(blob, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Function that will save the current frame as a PNG image. The frame is rendered offscreen at the chosen
+ * resolution, with the camera's aspect ratio and the sizes of the stars, rocks and comet tails, which are drawn in
+ * pixels, adjusted to it, and downloaded.
+ */
+function saveScreenshot() {
+    const resolution = CAPTURE_RESOLUTIONS[sceneProps.captureResolution];
+    const fit = Math.min(1, renderer.capabilities.maxTextureSize / Math.max(resolution[0], resolution[1]));
+    const width = Math.floor(resolution[0] * fit);
+    const height = Math.floor(resolution[1] * fit);
+    const target = new THREE.WebGLRenderTarget(width, height);
+    const pixels = new Uint8Array(width * height * 4);
+    const aspect = camera.aspect;
+
+    // The point sizes, as the objects and keys holding them, are scaled from the canvas' height to the frame's.
+    const scale = height / renderer.domElement.height;
+    const pointSizes = [[starfield.points.material.uniforms.pixelRatio, 'value']];
+    for (const belt of belts) {
+        const uniforms = belt.points.material.uniforms;
+        pointSizes.push([uniforms.pixelScale, 'value'], [uniforms.minSize, 'value'], [uniforms.maxSize, 'value']);
+    }
+    for (const comet of celestialBodies.filter((body) => body instanceof Comet)) {
+        pointSizes.push([comet.tail.material, 'size']);
+    }
+    const windowSizes = pointSizes.map(([object, key]) => object[key]);
+
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    pointSizes.forEach(([object, key]) => object[key] *= scale);
+    renderer.render(scene, camera, target);
+    renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+    pointSizes.forEach(([object, key], i) => object[key] = windowSizes[i]);
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+    target.dispose();
+
+    // The rendered rows go from the bottom up, while the image rows go from the top down.
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+    const rowSize = width * 4;
+    for (let row = 0; row < height; row++) {
+        image.data.set(pixels.subarray((height - row - 1) * rowSize, (height - row) * rowSize), row * rowSize);
+    }
+    context.putImageData(image, 0, 0);
+    canvas.toBlob((blob) => downloadFile(blob, `${captureFileName()}.png`), 'image/png');
+}
+
+/**
+ * Function that returns the video encoder configuration for a codec and video size.
+ * 
+ * @param {*} codec  The codec, one of the video codecs.
+ * @param {*} width  The video width, in pixels.
+ * @param {*} height The video height, in pixels.
+ */
+function videoEncoderConfig(codec, width, height) {
+    return { codec: codec.encoder, width: width, height: height, bitrate: VIDEO_BITRATE, framerate: sceneProps.videoFrameRate };
+}
+
+/**
+ * Function that will find the first video codec the browser can encode videos with, if it has video encoders.
+ */
+function findVideoCodec() {
+    if (!window.VideoEncoder || !window.WebMMuxer) {
+        return;
+    }
+
+    VIDEO_CODECS.reduce((found, codec) => found.then((supported) => supported ||
+        VideoEncoder.isConfigSupported(videoEncoderConfig(codec, 1920, 1080)).then((support) => support.supported && codec)
+    ), Promise.resolve(false))
+        .then((codec) => videoCodec = codec || undefined)
+        .catch(() => videoCodec = undefined);
+}
+
+/**
+ * Function that will start recording a WebM video of the canvas. Each rendered frame is a video frame, with the
+ * simulation advancing by the same time on every one of them. The frames are encoded with the time they have in
+ * the video, so the video is smooth however fast the frames are rendered. Browsers without video encoders record
+ * the canvas as it's shown, with the time each frame was rendered, so slow renders still make slow, jerky videos.
+ * 
+ * @returns Whether the browser can record videos.
+ */
+function startRecording() {
+    if (videoCodec) {
+        videoRecording = encodeVideo(videoCodec);
+        return true;
+    }
+
+    const type = window.MediaRecorder && VIDEO_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    if (!type) {
+        return false;
+    }
+    videoRecording = recordVideo(type);
+    return true;
+}
+
+/**
+ * Function that will encode the canvas' frames into a WebM video, at the canvas' size when the recording started.
+ * 
+ * @param {*} codec The codec, one of the video codecs.
+ * @returns The recording, adding a frame to the video every time the scene is rendered.
+ */
+function encodeVideo(codec) {
+    const frameRate = sceneProps.videoFrameRate;
+    const fileName = `${captureFileName()}.webm`;
+
+    // The frames are copied to a canvas of their own, as encoders want even sizes and the window may be resized.
+    const canvas = document.createElement('canvas');
+    canvas.width = renderer.domElement.width & ~1;
+    canvas.height = renderer.domElement.height & ~1;
+    const context = canvas.getContext('2d');
+
+    const muxer = new WebMMuxer.Muxer({
+        target: new WebMMuxer.ArrayBufferTarget(),
+        video: { codec: codec.muxer, width: canvas.width, height: canvas.height, frameRate: frameRate }
+    });
+    const encoder = new VideoEncoder({
+        output: (chunk, metadata) => muxer.addVideoChunk(chunk, metadata),
+        error: (error) => {
+            console.error(error);
+            announce('The video could not be encoded, so it won\'t be saved.');
+        }
+    });
+    encoder.configure(videoEncoderConfig(codec, canvas.width, canvas.height));
+    let frames = 0;
+
+    return {
+        step: 1 / frameRate,
+        pending: 0,
+        busy: () => encoder.encodeQueueSize > VIDEO_MAX_QUEUE,
+        addFrame: () => {
+            if (encoder.state === 'closed') {
+                return;
+            }
+            context.drawImage(renderer.domElement, 0, 0, canvas.width, canvas.height);
+            const frame = new VideoFrame(canvas, { timestamp: Math.round(frames * 1e6 / frameRate), duration: Math.round(1e6 / frameRate) });
+            encoder.encode(frame, { keyFrame: frames % (VIDEO_KEY_FRAME_INTERVAL * frameRate) === 0 });
+            frame.close();
+            frames++;
+        },
+        stop: () => {
+            if (encoder.state === 'closed') {
+                return;
+            }
+            encoder.flush().then(() => {
+                muxer.finalize();
+                downloadFile(new Blob([muxer.target.buffer], { type: 'video/webm' }), fileName);
+                encoder.close();
+            }).catch((error) => console.error(error));
+        }
+    };
+}
+
+/**
+ * Function that will record the canvas into a WebM video, as it's shown.
+ * 
+ * @param {*} type The video type, one of the video types.
+ * @returns The recording, adding a frame to the video every time the scene is rendered.
+ */
+function recordVideo(type) {
+    const stream = renderer.domElement.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond: VIDEO_BITRATE });
+    const chunks = [];
+    const fileName = `${captureFileName()}.webm`;
+
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+            chunks.push(event.data);
+        }
+    };
+    recorder.onstop = () => downloadFile(new Blob(chunks, { type: 'video/webm' }), fileName);
+    recorder.start();
+
+    return {
+        step: 1 / sceneProps.videoFrameRate,
+        pending: 0,
+        busy: () => false,
+        addFrame: () => track.requestFrame(),
+        stop: () => {
+            recorder.stop();
+            track.stop();
+        }
+    };
+}
+
+/**
+ * Function that will stop recording the video, which is then downloaded.
+ */
+function stopRecording() {
+    videoRecording.stop();
+    videoRecording = undefined;
+}
+
+/**
+ * Function that will move and spin the bodies to where their simulation bodies are, updating their orbits and
+ * trails.
+ */
+function updateBodies() {
+    for (const body of celestialBodies) {
+        body.sync();
+        if (body instanceof OrbitingCelestialBody) {
+            body.updatePaths();
+        }
+    }
+}
+
+/**
  * Function that will reder the whole scene
  */
 function render() {
-    // Updates the controls.
-    trackballControls.update(clock.getDelta());
+    const elapsed = clock.getDelta();
+    let delta = elapsed;
 
-    // Updates the body positions;
-    if (sceneProps.showBodyMovement) {
-        for (let i = 1; i < celestialBodies.length; i++) {
-            celestialBodies[i].updatePosition();
+    // While recording, the simulation advances by one video frame at a time, at most as fast as the frame rate and
+    // the video is encoded.
+    if (videoRecording) {
+        videoRecording.pending = Math.min(videoRecording.pending + elapsed, 2 * videoRecording.step);
+        if (videoRecording.pending < videoRecording.step || videoRecording.busy()) {
+            requestAnimationFrame(render);
+            return;
         }
+        videoRecording.pending -= videoRecording.step;
+        delta = videoRecording.step;
+    }
+
+    // Resizes the bodies, then advances the simulation, unless it's paused, and moves the bodies.
+    updateScaleTransition(delta);
+    simulation.step(sceneProps.showBodyMovement ? simulationDays(delta) : 0);
+    updateBodies();
+
+    // The comet tails keep streaming while the bodies are paused, unless the motion is reduced.
+    for (const comet of celestialBodies.filter((body) => body instanceof Comet)) {
+        comet.updateTail(sceneProps.reducedMotion ? 0 : delta);
+    }
+
+    // Updates the camera and the controls, after the bodies moved so the focused body is followed.
+    updateCameraFocus(delta);
+    updateTour(delta);
+    trackballControls.update(delta);
+    starfield.update(camera);
+    belts.forEach((belt) => belt.update(camera));
+    bodyLabels.update(camera);
+    dateDisplay.textContent = formatDate(simulation.date);
+    updateEclipseNotice();
+    updatePhysicsPanel();
+    updateMeasurements();
+    if (selectedBody) {
+        updateInfoPanel();
     }
 
-    // Renders the scene.
+    // Renders the scene, adding the frame to the video being recorded.
     renderer.render(scene, camera);
+    if (videoRecording) {
+        videoRecording.addFrame();
+    }
 
     // To call itself.
     requestAnimationFrame(render);
 }
 
+/**
+ * Function that rounds a number saved on a permalink, keeping the links short.
+ * 
+ * @param {*} value The number to round.
+ */
+function roundNumber(value) {
+    return Number(value.toPrecision(PERMALINK_PRECISION));
+}
+
+/**
+ * Function that returns the whole view state: the scene properties, the simulation date, the camera, the focused
+ * and selected bodies and each body's state.
+ */
+function saveView() {
+    const bodies = {};
+    for (const body of celestialBodies) {
+        bodies[body.name] = body.saveState();
+    }
+    const beltStates = {};
+    for (const belt of belts) {
+        beltStates[belt.name] = belt.saveState();
+    }
+
+    return {
+        version: PERMALINK_VERSION,
+        props: Object.assign({}, sceneProps),
+        clock: { epoch: simulation.epoch, days: roundNumber(simulation.days) },
+        camera: {
+            position: camera.position.toArray().map(roundNumber),
+            up: camera.up.toArray().map(roundNumber),
+            target: trackballControls.target.toArray().map(roundNumber)
+        },
+        focus: cameraFocus && cameraFocus.body ? cameraFocus.body.name : undefined,
+        selected: selectedBody ? selectedBody.name : undefined,
+        showStars: starfield.points.visible,
+        wireframe: celestialBodies.some((body) => body.material.wireframe),
+        bodies: bodies,
+        belts: beltStates,
+        measurements: measurements.map((measurement) => [measurement.from.name, measurement.to.name])
+    };
+}
+
+/**
+ * Function that will restore the view state saved on the URL hash, if any. Links that can't be read are ignored,
+ * as are the properties and bodies unknown to this version, and links that can't be restored fall back to the
+ * default view.
+ */
+function restorePermalink() {
+    if (window.location.hash.length <= 1) {
+        return;
+    }
+
+    let view;
+    try {
+        view = JSON.parse(atob(decodeURIComponent(window.location.hash.substring(1))));
+    } catch (error) {
+        console.warn('The link could not be read, starting with the default view.', error);
+        return;
+    }
+    if (!matchesType(view, 'object') || view.version !== PERMALINK_VERSION) {
+        console.warn('The link is from an unknown version, starting with the default view.');
+        return;
+    }
+
+    const defaultView = saveView();
+    try {
+        restoreView(view);
+    } catch (error) {
+        console.warn('The link could not be restored, starting with the default view.', error);
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        restoreView(defaultView);
+    }
+}
+
+/**
+ * Function that will restore a view state saved by saveView. Restored values are checked, keeping the current
+ * ones in place of those that can't be used.
+ * 
+ * @param {*} view The view state.
+ */
+function restoreView(view) {
+    const props = matchesType(view.props, 'object') ? view.props : {};
+    const states = (group) => matchesType(view[group], 'object') ? view[group] : {};
+
+    // The system is rebuilt from the saved seed, then the bodies are restored on the visual scale, before switching
+    // to the saved scale.
+    if (isValidSeed(props.seed) && props.seed !== sceneProps.seed) {
+        rerollSystem(props.seed);
+    }
+    const bodyStates = states('bodies');
+    for (const name of Object.keys(bodyStates)) {
+        const body = celestialBodyMap.get(name);
+        if (body && matchesType(bodyStates[name], 'object')) {
+            body.restoreState(bodyStates[name]);
+        }
+    }
+
+    for (const property of Object.keys(props)) {
+        const check = PERMALINK_CHECKS[property];
+        const known = Object.prototype.hasOwnProperty.call(sceneProps, property) && typeof sceneProps[property] === typeof props[property];
+        if (property !== 'scaleMode' && known && (!check || check(props[property]))) {
+            sceneProps[property] = props[property];
+        }
+    }
+    orbitMaterial.color.set(sceneProps.orbitColor);
+    paintTrails();
+
+    // The saved phases already account for the saved speeds.
+    simulation.realPositions = sceneProps.realPositions;
+    for (const body of celestialBodies) {
+        if (body instanceof OrbitingCelestialBody) {
+            body.model.speed = body.speed();
+        }
+        body.model.spinSpeed = sceneProps.spinSpeed;
+    }
+
+    // The belts are created again with the saved speed, counts and densities, then rephased as they were.
+    const beltStates = states('belts');
+    for (const belt of belts.slice()) {
+        const state = matchesType(beltStates[belt.name], 'object') ? beltStates[belt.name] : {};
+        const count = Number.isInteger(state.count) && isInRange(state.count, [0, MAX_BELT_COUNT]) ? state.count : belt.model.count;
+        const density = isInRange(state.density, [0, 1]) ? state.density : belt.model.density;
+        const rebuilt = rebuildBelt(belt, count, density);
+        rebuilt.points.visible = typeof state.visible === 'boolean' ? state.visible : rebuilt.points.visible;
+        rebuilt.model.timeOffset = Number(state.timeOffset) || 0;
+    }
+    setShadowQuality(sceneProps.shadowQuality);
+    setReducedMotion(sceneProps.reducedMotion);
+    rebuildStarfield();
+
+    if (PERMALINK_CHECKS.scaleMode(props.scaleMode) && props.scaleMode !== sceneProps.scaleMode) {
+        setScaleMode(props.scaleMode);
+        finishScaleTransition();
+    }
+
+    if (matchesType(view.clock, 'object')) {
+        simulation.epoch = Number(view.clock.epoch) || simulation.epoch;
+        simulation.days = Number(view.clock.days) || 0;
+    }
+
+    // The physics starts again from the orbits at the saved date, as its state isn't saved.
+    setPhysics(sceneProps.physics);
+
+    const cameraVectors = matchesType(view.camera, 'object') && [view.camera.position, view.camera.up, view.camera.target];
+    if (cameraVectors && cameraVectors.every((vector) => Array.isArray(vector) && vector.length === 3 && vector.every(Number.isFinite))) {
+        camera.position.fromArray(view.camera.position);
+        camera.up.fromArray(view.camera.up);
+        trackballControls.target.fromArray(view.camera.target);
+        camera.lookAt(trackballControls.target);
+    }
+
+    // The camera goes straight to following the focused body, unless the link was saved while flying to it.
+    const focused = celestialBodyMap.get(view.focus);
+    simulation.update();
+    updateBodies();
+    if (focused && trackballControls.target.distanceTo(focused.position) > camera.near) {
+        focusOn(focused);
+    } else if (focused) {
+        followBody(focused);
+    }
+
+    // The measurements are taken again between the saved bodies.
+    measurements.slice().forEach(removeMeasurement);
+    for (const pair of Array.isArray(view.measurements) ? view.measurements : []) {
+        if (Array.isArray(pair)) {
+            addMeasurement(pair[0], pair[1]);
+        }
+    }
+
+    selectBody(celestialBodyMap.get(view.selected));
+    starfield.points.visible = view.showStars !== false;
+    for (const body of celestialBodies) {
+        body.setWireframe(!!view.wireframe);
+    }
+}
+
+/**
+ * Function that will save the view state on the URL hash and copy the link to the clipboard.
+ */
+function copyPermalink() {
+    const hash = '#' + encodeURIComponent(btoa(JSON.stringify(saveView())));
+    window.history.replaceState(null, '', hash);
+    copyText(window.location.href, 'Copy the link to this view:');
+}
+
+/**
+ * Function that will copy a text to the clipboard. When the clipboard can't be used, the text is shown so it can
+ * be copied by hand.
+ * 
+ * @param {*} text    The text to be copied.
+ * @param {*} message The message shown with the text.
+ */
+function copyText(text, message) {
+    const showText = () => window.prompt(message, text);
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(text).catch(showText);
+    } else {
+        showText();
+    }
+}
+
 /**
  * Loads evertying when the window loads for the first time.
  */
@@ -441,6 +3807,9 @@ window.onload = () => {
     init();
     setupCameraAndLight();
     createGeometry();
+    setupSelection();
+    restorePermalink();
     setupDatGui();
+    setupKeyboard();
     render();
 };
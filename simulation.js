@@ -0,0 +1,977 @@
+/**
+ * File containing the simulation core of the solar system: the orbital maths, the simulation time and the state
+ * of every body. It has no DOM or WebGL dependencies, so it runs in the browser, where it's the SolarSimulation
+ * global, as well as in Node, where it's the module's exports and where its tests run (node --test test/).
+ *
+ * Author   : Rodrigo Januario da Silva
+ * Due Date : Feb 15, 2019
+ * File Name: simulation.js
+ * Professor: Narendra Pershad
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SolarSimulation = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Time constants.
+     */
+    const MS_PER_DAY = 86400000;
+    const SECONDS_PER_DAY = 86400;
+    const HOURS_PER_DAY = 24;
+    const UNIX_EPOCH_JD = 2440587.5;
+    const J2000_JD = 2451545.0;
+    const DAYS_PER_CENTURY = 36525;
+
+    /**
+     * Physics constants. The gravitational constant is in km^3 / (kg * day^2), as the physics works in km, kg and
+     * days. The physics advances in steps no longer than the physics step, in days, and never takes more than the
+     * maximum steps at a time, cutting longer times short instead, as longer steps would tear the moons away.
+     */
+    const GRAVITATIONAL_CONSTANT = 6.6743e-20 * SECONDS_PER_DAY * SECONDS_PER_DAY;
+    const PHYSICS_STEP = 0.01;
+    const MAX_PHYSICS_STEPS = 2000;
+
+    /**
+     * Tolerance solving Kepler's equation for the belts' rocks, in radians. Rocks are small enough for a coarser
+     * tolerance than the bodies'.
+     */
+    const BELT_TOLERANCE = 1e-8;
+
+    /**
+     * Converts an angle from degrees to radians.
+     *
+     * @param {*} degrees The angle in degrees.
+     */
+    function degToRad(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    /**
+     * Creates a seeded pseudo-random number generator (mulberry32). The same seed always gives the same numbers.
+     *
+     * @param {*} seed The seed, an unsigned 32 bit integer.
+     * @returns A function returning the next number in [0, 1), like Math.random.
+     */
+    function seededRandom(seed) {
+        let state = seed >>> 0;
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Derives a seed from another seed and a key (FNV-1a), so independent parts of a system get their own
+     * generators and don't change when the others use more or fewer numbers.
+     *
+     * @param {*} seed The seed derived from.
+     * @param {*} key  The key, a string naming the part using the derived seed.
+     * @returns The derived seed, an unsigned 32 bit integer.
+     */
+    function deriveSeed(seed, key) {
+        let hash = (0x811C9DC5 ^ seed) >>> 0;
+        for (let i = 0; i < key.length; i++) {
+            hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193) >>> 0;
+        }
+
+        return hash;
+    }
+
+    /**
+     * Solves Kepler's equation (M = E - e * sin(E)) for the eccentric anomaly using Newton's method.
+     *
+     * @param {*} meanAnomaly  The mean anomaly in radians.
+     * @param {*} eccentricity The orbit's eccentricity.
+     * @returns The eccentric anomaly in radians.
+     */
+    function solveKepler(meanAnomaly, eccentricity) {
+        const M = ((meanAnomaly % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        let E = eccentricity < 0.8 ? M : Math.PI;
+
+        for (let i = 0; i < 30; i++) {
+            const step = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+            E -= step;
+            if (Math.abs(step) < 1e-12) {
+                break;
+            }
+        }
+
+        return E;
+    }
+
+    /**
+     * Calculates the position of a body on its orbit, relative to the orbited body. The orbit is computed
+     * on its own plane and then rotated by the argument of periapsis, the inclination and the longitude of
+     * the ascending node.
+     *
+     * @param {*} semiMajorAxis The orbit's semi-major axis.
+     * @param {*} elements      The orbital elements, with all angles in radians.
+     * @param {*} meanAnomaly   The body's mean anomaly in radians.
+     * @returns The ecliptic coordinates (x, y, z), with z pointing to the ecliptic north, in the semi-major axis unit.
+     */
+    function orbitalPosition(semiMajorAxis, elements, meanAnomaly) {
+        const eccentricity = elements.eccentricity;
+        const E = solveKepler(meanAnomaly, eccentricity);
+
+        // Position on the orbit's plane, with the periapsis on the x axis.
+        const xv = semiMajorAxis * (Math.cos(E) - eccentricity);
+        const yv = semiMajorAxis * Math.sqrt(1 - eccentricity * eccentricity) * Math.sin(E);
+
+        return toEcliptic(xv, yv, elements);
+    }
+
+    /**
+     * Calculates the velocity of a body on its orbit, relative to the orbited body, under the orbited body's gravity.
+     *
+     * @param {*} semiMajorAxis The orbit's semi-major axis.
+     * @param {*} elements      The orbital elements, with all angles in radians.
+     * @param {*} meanAnomaly   The body's mean anomaly in radians.
+     * @param {*} mu            The gravitational parameter, G times the sum of both bodies' masses.
+     * @returns The ecliptic velocity (x, y, z), in the units of the gravitational parameter.
+     */
+    function orbitalVelocity(semiMajorAxis, elements, meanAnomaly, mu) {
+        const eccentricity = elements.eccentricity;
+        const E = solveKepler(meanAnomaly, eccentricity);
+        const meanMotion = Math.sqrt(mu / (semiMajorAxis * semiMajorAxis * semiMajorAxis));
+        const speed = semiMajorAxis * meanMotion / (1 - eccentricity * Math.cos(E));
+
+        return toEcliptic(-speed * Math.sin(E), speed * Math.sqrt(1 - eccentricity * eccentricity) * Math.cos(E), elements);
+    }
+
+    /**
+     * Rotates a vector on an orbit's plane, with the periapsis on the x axis, to the ecliptic plane. The vector is
+     * rotated by the argument of periapsis, the inclination and the longitude of the ascending node.
+     *
+     * @param {*} xv       The vector's x coordinate on the orbit's plane.
+     * @param {*} yv       The vector's y coordinate on the orbit's plane.
+     * @param {*} elements The orbital elements, with all angles in radians.
+     * @returns The ecliptic coordinates (x, y, z).
+     */
+    function toEcliptic(xv, yv, elements) {
+        const { inclination, longitudeOfAscendingNode, argumentOfPeriapsis } = elements;
+        const cosO = Math.cos(longitudeOfAscendingNode), sinO = Math.sin(longitudeOfAscendingNode);
+        const cosw = Math.cos(argumentOfPeriapsis), sinw = Math.sin(argumentOfPeriapsis);
+        const cosi = Math.cos(inclination), sini = Math.sin(inclination);
+
+        return {
+            x: (cosO * cosw - sinO * sinw * cosi) * xv + (-cosO * sinw - sinO * cosw * cosi) * yv,
+            y: (sinO * cosw + cosO * sinw * cosi) * xv + (-sinO * sinw + cosO * cosw * cosi) * yv,
+            z: (sinw * sini) * xv + (cosw * sini) * yv
+        };
+    }
+
+    /**
+     * Converts a date to its Julian date.
+     *
+     * @param {*} date The date to be converted.
+     */
+    function julianDate(date) {
+        return date.getTime() / MS_PER_DAY + UNIX_EPOCH_JD;
+    }
+
+    /**
+     * Calculates the orbital elements of a planet for a given Julian date from its J2000 elements and their
+     * rates per century.
+     *
+     * @param {*} ephemeris The planet's ephemeris, with the J2000 elements and their rates.
+     * @param {*} jd        The Julian date.
+     * @returns The semi-major axis in AU and the other orbital elements in radians.
+     */
+    function ephemerisElements(ephemeris, jd) {
+        const centuries = (jd - J2000_JD) / DAYS_PER_CENTURY;
+        const [a, e, I, L, longPeri, longNode] = ephemeris.elements.map((element, i) => element + ephemeris.rates[i] * centuries);
+
+        return {
+            semiMajorAxis: a,
+            eccentricity: e,
+            inclination: degToRad(I),
+            longitudeOfAscendingNode: degToRad(longNode),
+            argumentOfPeriapsis: degToRad(longPeri - longNode),
+            meanAnomaly: degToRad(L - longPeri)
+        };
+    }
+
+    /**
+     * Calculates the heliocentric position of a planet for a given Julian date.
+     *
+     * @param {*} ephemeris The planet's ephemeris, with the J2000 elements and their rates.
+     * @param {*} jd        The Julian date.
+     * @returns The J2000 ecliptic coordinates (x, y, z) in AU.
+     */
+    function heliocentricPosition(ephemeris, jd) {
+        const elements = ephemerisElements(ephemeris, jd);
+        return orbitalPosition(elements.semiMajorAxis, elements, elements.meanAnomaly);
+    }
+
+    /**
+     * Class that will keep the state of a body: its Keplerian orbit around its parent, if any, and its spin. The
+     * orbit and spin speed multipliers scale how fast the body moves, keeping it in place when they change. The
+     * orbit may be drawn at another size than the true one, given by the true semi-major axis and period, which
+     * are used by the physics and for the body's true distance and speed.
+     */
+    class SimulationBody {
+        /**
+         * Constructor for the simulation bodies.
+         *
+         * @param {*} name    The body's name.
+         * @param {*} options The body's parent, semiMajorAxis, period (in days), orbit (the orbital elements in
+         *                    degrees, missing elements being zero), ephemeris, rotationPeriod (in hours), speed
+         *                    and spinSpeed multipliers, mass (in kg), trueSemiMajorAxis (in km) and truePeriod (in
+         *                    days). The true orbit defaults to the orbit. Bodies without a parent stay at the origin.
+         */
+        constructor(name, options = {}) {
+            const orbit = options.orbit || {};
+
+            this.name = name;
+            this.parent = options.parent;
+            this.semiMajorAxis = options.semiMajorAxis || 0;
+            this.period = options.period || 0;
+            this.mass = options.mass || 0;
+            this.trueSemiMajorAxis = options.trueSemiMajorAxis || this.semiMajorAxis;
+            this.truePeriod = options.truePeriod || this.period;
+            this.elements = {
+                eccentricity: orbit.eccentricity || 0,
+                inclination: degToRad(orbit.inclination || 0),
+                longitudeOfAscendingNode: degToRad(orbit.longitudeOfAscendingNode || 0),
+                argumentOfPeriapsis: degToRad(orbit.argumentOfPeriapsis || 0)
+            };
+            this.meanAnomalyAtEpoch = degToRad(orbit.meanAnomaly || 0);
+            this.ephemeris = options.ephemeris;
+            this.rotationPeriod = options.rotationPeriod;
+            this.spinAtEpoch = 0;
+            this.speed = options.speed === undefined ? 1 : options.speed;
+            this.spinSpeed = options.spinSpeed === undefined ? 1 : options.spinSpeed;
+            this.meanAnomaly = this.meanAnomalyAtEpoch;
+            this.currentElements = this.elements;
+            this.position = { x: 0, y: 0, z: 0 };
+            this.spin = 0;
+            this.truePosition = { x: 0, y: 0, z: 0 };
+            this.trueVelocity = { x: 0, y: 0, z: 0 };
+            this.physics = false;
+        }
+
+        /**
+         * Method that returns the body's orbit at the given time. When the real positions are used and the body
+         * has an ephemeris, its elements for the date are used instead of its own orbit.
+         *
+         * @param {*} days          The simulation time, in days since the simulation's epoch.
+         * @param {*} jd            The simulation time as a Julian date.
+         * @param {*} realPositions Flag indicating whether the real positions are used.
+         * @returns The mean anomaly and the orbital elements, in radians.
+         */
+        orbitAt(days, jd, realPositions) {
+            if (realPositions && this.ephemeris) {
+                const elements = ephemerisElements(this.ephemeris, jd);
+                return { meanAnomaly: elements.meanAnomaly, elements: elements };
+            }
+
+            const meanAnomaly = this.period ? this.meanAnomalyAtEpoch + 2 * Math.PI * days * this.speed / this.period : this.meanAnomalyAtEpoch;
+            return { meanAnomaly: meanAnomaly, elements: this.elements };
+        }
+
+        /**
+         * Method that returns the body's position relative to its parent at the given time.
+         *
+         * @param {*} days          The simulation time, in days since the simulation's epoch.
+         * @param {*} jd            The simulation time as a Julian date.
+         * @param {*} realPositions Flag indicating whether the real positions are used.
+         */
+        relativePositionAt(days, jd, realPositions) {
+            if (!this.parent) {
+                return { x: 0, y: 0, z: 0 };
+            }
+
+            const orbit = this.orbitAt(days, jd, realPositions);
+            return orbitalPosition(this.semiMajorAxis, orbit.elements, orbit.meanAnomaly);
+        }
+
+        /**
+         * Method that returns the body's spin around its axis at the given time, in radians.
+         *
+         * @param {*} days The simulation time, in days since the simulation's epoch.
+         */
+        spinAt(days) {
+            return this.rotationPeriod ? this.spinAtEpoch + 2 * Math.PI * days * HOURS_PER_DAY * this.spinSpeed / this.rotationPeriod : 0;
+        }
+
+        /**
+         * Method that will move and spin the body to where it is at the given time. The parent must already be
+         * where it is at that time.
+         *
+         * @param {*} days          The simulation time, in days since the simulation's epoch.
+         * @param {*} jd            The simulation time as a Julian date.
+         * @param {*} realPositions Flag indicating whether the real positions are used.
+         */
+        update(days, jd, realPositions) {
+            if (this.parent) {
+                const orbit = this.orbitAt(days, jd, realPositions);
+                const position = orbitalPosition(this.semiMajorAxis, orbit.elements, orbit.meanAnomaly);
+                this.meanAnomaly = orbit.meanAnomaly;
+                this.currentElements = orbit.elements;
+                this.position.x = position.x + this.parent.position.x;
+                this.position.y = position.y + this.parent.position.y;
+                this.position.z = position.z + this.parent.position.z;
+            }
+            this.spin = this.spinAt(days);
+        }
+
+        /**
+         * Method that will place the body where the physics moved it. The body's offset from its parent is scaled from
+         * the true orbit size to the drawn one, so the physics can be shown on any scale.
+         *
+         * @param {*} days The simulation time, in days since the simulation's epoch.
+         */
+        updateFromPhysics(days) {
+            if (this.parent) {
+                const scale = this.trueSemiMajorAxis ? this.semiMajorAxis / this.trueSemiMajorAxis : 1;
+                this.position.x = this.parent.position.x + (this.truePosition.x - this.parent.truePosition.x) * scale;
+                this.position.y = this.parent.position.y + (this.truePosition.y - this.parent.truePosition.y) * scale;
+                this.position.z = this.parent.position.z + (this.truePosition.z - this.parent.truePosition.z) * scale;
+            }
+            this.spin = this.spinAt(days);
+        }
+
+        /**
+         * Method that will set the body's true position and velocity, in km and km per day, from where it is on its
+         * current orbit, with the velocity keeping it on that orbit under its parent's gravity. The parent's true
+         * position and velocity must already be set.
+         */
+        startPhysics() {
+            if (!this.parent) {
+                this.truePosition = { x: 0, y: 0, z: 0 };
+                this.trueVelocity = { x: 0, y: 0, z: 0 };
+                return;
+            }
+
+            const mu = GRAVITATIONAL_CONSTANT * (this.parent.mass + this.mass);
+            const position = orbitalPosition(this.trueSemiMajorAxis, this.currentElements, this.meanAnomaly);
+            const velocity = orbitalVelocity(this.trueSemiMajorAxis, this.currentElements, this.meanAnomaly, mu);
+            this.truePosition = { x: this.parent.truePosition.x + position.x, y: this.parent.truePosition.y + position.y, z: this.parent.truePosition.z + position.z };
+            this.trueVelocity = { x: this.parent.trueVelocity.x + velocity.x, y: this.parent.trueVelocity.y + velocity.y, z: this.parent.trueVelocity.z + velocity.z };
+        }
+
+        /**
+         * Method that returns the body's true position relative to its parent in km, on its orbit or where the physics
+         * moved it.
+         */
+        trueOffset() {
+            if (!this.parent) {
+                return { x: 0, y: 0, z: 0 };
+            }
+            if (this.physics) {
+                return { x: this.truePosition.x - this.parent.truePosition.x, y: this.truePosition.y - this.parent.truePosition.y, z: this.truePosition.z - this.parent.truePosition.z };
+            }
+
+            return orbitalPosition(this.trueSemiMajorAxis, this.currentElements, this.meanAnomaly);
+        }
+
+        /**
+         * Method that returns the body's true distance from its parent in km, on its orbit or where the physics moved it.
+         */
+        trueDistance() {
+            if (this.physics) {
+                return Math.hypot(this.truePosition.x - this.parent.truePosition.x, this.truePosition.y - this.parent.truePosition.y, this.truePosition.z - this.parent.truePosition.z);
+            }
+
+            const eccentricity = this.currentElements.eccentricity;
+            return this.trueSemiMajorAxis * (1 - eccentricity * Math.cos(solveKepler(this.meanAnomaly, eccentricity)));
+        }
+
+        /**
+         * Method that returns the body's true speed relative to its parent in km/s, given by the vis-viva equation on
+         * its orbit or by the physics.
+         */
+        trueSpeed() {
+            if (this.physics) {
+                return Math.hypot(this.trueVelocity.x - this.parent.trueVelocity.x, this.trueVelocity.y - this.parent.trueVelocity.y, this.trueVelocity.z - this.parent.trueVelocity.z) / SECONDS_PER_DAY;
+            }
+
+            const eccentricity = this.currentElements.eccentricity;
+            const cosE = Math.cos(solveKepler(this.meanAnomaly, eccentricity));
+            const meanSpeed = 2 * Math.PI * this.trueSemiMajorAxis / (this.truePeriod * SECONDS_PER_DAY);
+
+            return meanSpeed * Math.sqrt((1 + eccentricity * cosE) / (1 - eccentricity * cosE));
+        }
+
+        /**
+         * Method that will change the orbit speed multiplier, keeping the body where it is instead of jumping to
+         * the position it would have if it had always moved with the new speed.
+         *
+         * @param {*} days  The current simulation time, in days since the simulation's epoch.
+         * @param {*} speed The new speed multiplier.
+         */
+        setSpeed(days, speed) {
+            if (this.period) {
+                this.meanAnomalyAtEpoch += 2 * Math.PI * days * (this.speed - speed) / this.period;
+            }
+            this.speed = speed;
+        }
+
+        /**
+         * Method that will change the spin speed multiplier, keeping the body facing where it is.
+         *
+         * @param {*} days      The current simulation time, in days since the simulation's epoch.
+         * @param {*} spinSpeed The new spin speed multiplier.
+         */
+        setSpinSpeed(days, spinSpeed) {
+            if (this.rotationPeriod) {
+                this.spinAtEpoch += 2 * Math.PI * days * HOURS_PER_DAY * (this.spinSpeed - spinSpeed) / this.rotationPeriod;
+            }
+            this.spinSpeed = spinSpeed;
+        }
+    }
+
+    /**
+     * Class that will move bodies under their mutual Newtonian gravity, with a leapfrog (kick-drift-kick) integrator.
+     * The integrator is symplectic, so the total energy doesn't drift away over long times, only oscillating around
+     * its initial value. It works on the bodies' true positions and velocities, in km and km per day.
+     */
+    class NBodyIntegrator {
+        /**
+         * Constructor for the integrator.
+         *
+         * @param {*} bodies The bodies moved, with their true positions and velocities set. Bodies without mass are
+         *                   moved by the others' gravity without attracting them.
+         */
+        constructor(bodies) {
+            this.bodies = bodies;
+            this.accelerations = bodies.map(() => ({ x: 0, y: 0, z: 0 }));
+            this.steps = 0;
+            this.step = PHYSICS_STEP;
+            this.massesChanged();
+        }
+
+        /**
+         * Method that will recalculate the accelerations and restart measuring the energy drift after the bodies'
+         * masses changed.
+         */
+        massesChanged() {
+            this.computeAccelerations();
+            this.initialEnergy = this.energy();
+        }
+
+        /**
+         * Method that will calculate every body's acceleration from the gravity of all other bodies.
+         */
+        computeAccelerations() {
+            const bodies = this.bodies;
+            this.accelerations.forEach((acceleration) => acceleration.x = acceleration.y = acceleration.z = 0);
+
+            for (let i = 0; i < bodies.length; i++) {
+                for (let j = i + 1; j < bodies.length; j++) {
+                    const dx = bodies[j].truePosition.x - bodies[i].truePosition.x;
+                    const dy = bodies[j].truePosition.y - bodies[i].truePosition.y;
+                    const dz = bodies[j].truePosition.z - bodies[i].truePosition.z;
+                    const distanceSquared = dx * dx + dy * dy + dz * dz;
+                    if (distanceSquared === 0) {
+                        continue;
+                    }
+
+                    const factor = GRAVITATIONAL_CONSTANT / (distanceSquared * Math.sqrt(distanceSquared));
+                    const ai = this.accelerations[i], aj = this.accelerations[j];
+                    ai.x += factor * bodies[j].mass * dx;
+                    ai.y += factor * bodies[j].mass * dy;
+                    ai.z += factor * bodies[j].mass * dz;
+                    aj.x -= factor * bodies[i].mass * dx;
+                    aj.y -= factor * bodies[i].mass * dy;
+                    aj.z -= factor * bodies[i].mass * dz;
+                }
+            }
+        }
+
+        /**
+         * Method that will move the bodies through the given time, in as many steps as needed for each one to be no
+         * longer than the physics step. Times needing more than the maximum steps are cut short.
+         *
+         * @param {*} dt The time to advance, in days. Negative times go backwards.
+         * @returns The time the bodies advanced, in days.
+         */
+        advance(dt) {
+            this.steps = Math.min(Math.ceil(Math.abs(dt) / PHYSICS_STEP), MAX_PHYSICS_STEPS);
+            if (this.steps === 0) {
+                return 0;
+            }
+            if (this.steps === MAX_PHYSICS_STEPS) {
+                dt = Math.sign(dt) * Math.min(Math.abs(dt), MAX_PHYSICS_STEPS * PHYSICS_STEP);
+            }
+
+            const h = dt / this.steps;
+            this.step = Math.abs(h);
+            for (let step = 0; step < this.steps; step++) {
+                this.kick(h / 2);
+                for (const body of this.bodies) {
+                    body.truePosition.x += body.trueVelocity.x * h;
+                    body.truePosition.y += body.trueVelocity.y * h;
+                    body.truePosition.z += body.trueVelocity.z * h;
+                }
+                this.computeAccelerations();
+                this.kick(h / 2);
+            }
+            return dt;
+        }
+
+        /**
+         * Method that will change the bodies' velocities by their accelerations over the given time.
+         *
+         * @param {*} h The time, in days.
+         */
+        kick(h) {
+            this.bodies.forEach((body, i) => {
+                body.trueVelocity.x += this.accelerations[i].x * h;
+                body.trueVelocity.y += this.accelerations[i].y * h;
+                body.trueVelocity.z += this.accelerations[i].z * h;
+            });
+        }
+
+        /**
+         * Method that returns the bodies' total energy, kinetic plus gravitational, in kg * km^2 / day^2.
+         */
+        energy() {
+            const bodies = this.bodies;
+            let energy = 0;
+
+            for (let i = 0; i < bodies.length; i++) {
+                const v = bodies[i].trueVelocity;
+                energy += bodies[i].mass * (v.x * v.x + v.y * v.y + v.z * v.z) / 2;
+                for (let j = i + 1; j < bodies.length; j++) {
+                    const dx = bodies[j].truePosition.x - bodies[i].truePosition.x;
+                    const dy = bodies[j].truePosition.y - bodies[i].truePosition.y;
+                    const dz = bodies[j].truePosition.z - bodies[i].truePosition.z;
+                    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+                    if (distance > 0) {
+                        energy -= GRAVITATIONAL_CONSTANT * bodies[i].mass * bodies[j].mass / distance;
+                    }
+                }
+            }
+
+            return energy;
+        }
+
+        /**
+         * Method that returns how far the total energy drifted from its value when the physics started, or when the
+         * masses last changed, relative to that value.
+         */
+        energyDrift() {
+            return this.initialEnergy ? Math.abs((this.energy() - this.initialEnergy) / this.initialEnergy) : 0;
+        }
+    }
+
+    /**
+     * Class that will keep a belt of small bodies orbiting a parent, like the asteroid belt. The rocks are too many
+     * to be simulation bodies, so each one only keeps its orbital elements and follows its Keplerian orbit, with its
+     * period given by Kepler's third law from the parent's mass. The rocks don't attract anything, nor are they moved
+     * by the physics. Their positions are kept on orbits of unit semi-major axis, so they can be drawn at any scale.
+     * As there are thousands of rocks, each one keeps its orbit's axes on the ecliptic and its last eccentric anomaly,
+     * which Kepler's equation is solved from, instead of going through orbitalPosition every frame.
+     */
+    class SimulationBelt {
+        /**
+         * Constructor for the belts.
+         *
+         * @param {*} name    The belt's name.
+         * @param {*} options The belt's parent, count, the [min, max] ranges of the rocks' semiMajorAxis (in km),
+         *                    eccentricity and inclination (in degrees), density (from 0, rocks spread evenly across
+         *                    the belt, to 1, rocks packed around its middle), speed multiplier, random generator
+         *                    and parentMass (in kg), the mass the rocks orbit, which defaults to the parent's mass.
+         */
+        constructor(name, options) {
+            this.name = name;
+            this.parent = options.parent;
+            this.count = options.count;
+            this.density = options.density || 0;
+            this.speed = options.speed === undefined ? 1 : options.speed;
+            this.enabled = true;
+            this.timeOffset = 0;
+            this.semiMajorAxes = new Float64Array(this.count);
+            this.periods = new Float64Array(this.count);
+            this.meanAnomaliesAtEpoch = new Float64Array(this.count);
+            this.eccentricities = new Float64Array(this.count);
+            this.eccentricAnomalies = new Float64Array(this.count);
+            this.axes = new Float64Array(this.count * 6);
+            this.positions = new Float32Array(this.count * 3);
+
+            const random = options.random || seededRandom(deriveSeed(0, name));
+            const [minAxis, maxAxis] = options.semiMajorAxis;
+            const [minEccentricity, maxEccentricity] = options.eccentricity;
+            const [minInclination, maxInclination] = options.inclination;
+            const mu = GRAVITATIONAL_CONSTANT * (options.parentMass || this.parent.mass);
+
+            for (let i = 0; i < this.count; i++) {
+                // Denser belts pull the rocks' offsets from the middle towards zero.
+                const offset = random() * 2 - 1;
+                const semiMajorAxis = (minAxis + maxAxis) / 2 + (maxAxis - minAxis) / 2 * Math.sign(offset) * Math.pow(Math.abs(offset), 1 + 3 * this.density);
+
+                const elements = {
+                    eccentricity: minEccentricity + random() * (maxEccentricity - minEccentricity),
+                    inclination: degToRad(minInclination + Math.pow(random(), 2) * (maxInclination - minInclination)),
+                    longitudeOfAscendingNode: random() * 2 * Math.PI,
+                    argumentOfPeriapsis: random() * 2 * Math.PI
+                };
+
+                // The directions of the periapsis and of a quarter turn ahead of it.
+                const periapsis = toEcliptic(1, 0, elements);
+                const quarter = toEcliptic(0, Math.sqrt(1 - elements.eccentricity * elements.eccentricity), elements);
+                this.axes.set([periapsis.x, periapsis.y, periapsis.z, quarter.x, quarter.y, quarter.z], i * 6);
+
+                this.semiMajorAxes[i] = semiMajorAxis;
+                this.periods[i] = 2 * Math.PI * Math.sqrt(semiMajorAxis * semiMajorAxis * semiMajorAxis / mu);
+                this.eccentricities[i] = elements.eccentricity;
+                this.meanAnomaliesAtEpoch[i] = random() * 2 * Math.PI;
+                this.eccentricAnomalies[i] = this.meanAnomaliesAtEpoch[i];
+            }
+        }
+
+        /**
+         * Method that will move the rocks to where they are at the given time, on orbits of unit semi-major axis.
+         *
+         * @param {*} days The simulation time, in days since the simulation's epoch.
+         */
+        update(days) {
+            const time = days * this.speed + this.timeOffset;
+            const axes = this.axes;
+            for (let i = 0; i < this.count; i++) {
+                const e = this.eccentricities[i];
+                const M = this.meanAnomaliesAtEpoch[i] + 2 * Math.PI * time / this.periods[i];
+                let E = this.eccentricAnomalies[i];
+                E += 2 * Math.PI * Math.round((M - E) / (2 * Math.PI));
+
+                // The rocks barely move between frames, so a step or two from the last anomaly is usually enough.
+                for (let iteration = 0; iteration < 30; iteration++) {
+                    const step = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+                    E -= step;
+                    if (Math.abs(step) < BELT_TOLERANCE) {
+                        break;
+                    }
+                }
+                this.eccentricAnomalies[i] = E;
+
+                const x = Math.cos(E) - e, y = Math.sin(E);
+                this.positions[i * 3] = axes[i * 6] * x + axes[i * 6 + 3] * y;
+                this.positions[i * 3 + 1] = axes[i * 6 + 1] * x + axes[i * 6 + 4] * y;
+                this.positions[i * 3 + 2] = axes[i * 6 + 2] * x + axes[i * 6 + 5] * y;
+            }
+        }
+
+        /**
+         * Method that will change the speed multiplier, keeping the rocks where they are.
+         *
+         * @param {*} days  The current simulation time, in days since the simulation's epoch.
+         * @param {*} speed The new speed multiplier.
+         */
+        setSpeed(days, speed) {
+            this.timeOffset += days * (this.speed - speed);
+            this.speed = speed;
+        }
+    }
+
+    /**
+     * Class that will keep the simulation: its time, in days since its epoch, and its bodies, parents always before
+     * their satellites.
+     */
+    class Simulation {
+        /**
+         * Constructor for the simulation.
+         *
+         * @param {*} epoch The date the simulation starts at.
+         */
+        constructor(epoch = new Date()) {
+            this.epoch = epoch.getTime();
+            this.days = 0;
+            this.realPositions = false;
+            this.physics = undefined;
+            this.bodies = [];
+            this.bodyMap = new Map();
+            this.belts = [];
+        }
+
+        /**
+         * Creates a simulation of a solar system description, with the real orbits (in km and days) and sizes.
+         *
+         * @param {*} system The solar system description, with the moons declared inside their planets.
+         * @param {*} epoch  The date the simulation starts at.
+         */
+        static fromSystem(system, epoch = new Date()) {
+            const simulation = new Simulation(epoch);
+            const addBodies = (definitions, parent) => {
+                for (const definition of definitions) {
+                    simulation.addBody(definition.name, {
+                        parent: definition.parent || parent,
+                        semiMajorAxis: definition.semiMajorAxis,
+                        period: definition.period,
+                        orbit: definition.orbit,
+                        ephemeris: definition.ephemeris,
+                        rotationPeriod: definition.rotationPeriod,
+                        mass: definition.mass
+                    });
+                    addBodies(definition.moons || [], definition.name);
+                }
+            };
+
+            addBodies(system.bodies);
+            simulation.update();
+            return simulation;
+        }
+
+        /**
+         * Method that returns the current simulation date.
+         */
+        get date() {
+            return new Date(this.epoch + this.days * MS_PER_DAY);
+        }
+
+        /**
+         * Method that returns the current simulation date as a Julian date.
+         */
+        get julianDate() {
+            return this.julianDateAt(this.days);
+        }
+
+        /**
+         * Method that returns a simulation time as a Julian date.
+         *
+         * @param {*} days The simulation time, in days since the simulation's epoch.
+         */
+        julianDateAt(days) {
+            return (this.epoch + days * MS_PER_DAY) / MS_PER_DAY + UNIX_EPOCH_JD;
+        }
+
+        /**
+         * Method that will add a body to the simulation. Its parent must already be in the simulation.
+         *
+         * @param {*} name    The body's name.
+         * @param {*} options The body's options, as taken by the simulation bodies, with the parent's name.
+         * @returns The body added.
+         */
+        addBody(name, options = {}) {
+            if (this.bodyMap.has(name)) {
+                throw new Error(`The simulation already has a body named '${name}'.`);
+            }
+
+            const parent = options.parent === undefined ? undefined : this.bodyMap.get(options.parent);
+            if (options.parent !== undefined && !parent) {
+                throw new Error(`The parent '${options.parent}' of '${name}' is not in the simulation.`);
+            }
+
+            const body = new SimulationBody(name, Object.assign({}, options, { parent: parent }));
+            this.bodies.push(body);
+            this.bodyMap.set(name, body);
+            return body;
+        }
+
+        /**
+         * Method that returns a body of the simulation.
+         *
+         * @param {*} name The body's name.
+         */
+        getBody(name) {
+            return this.bodyMap.get(name);
+        }
+
+        /**
+         * Method that will add a belt of rocks to the simulation, replacing any belt with the same name.
+         *
+         * @param {*} name    The belt's name.
+         * @param {*} options The belt options, as taken by SimulationBelt, with the parent given by name. The parent
+         *                    must have a mass, unless the parentMass is given.
+         * @returns The belt added.
+         */
+        addBelt(name, options) {
+            const parent = this.bodyMap.get(options.parent);
+            if (!parent || !((options.parentMass || parent.mass) > 0)) {
+                throw new Error(`The parent '${options.parent}' of '${name}' is not in the simulation or has no mass.`);
+            }
+
+            const belt = new SimulationBelt(name, Object.assign({}, options, { parent: parent }));
+            this.belts = this.belts.filter((other) => other.name !== name).concat(belt);
+            belt.update(this.days);
+            return belt;
+        }
+
+        /**
+         * Method that will advance the simulation time and move the bodies, on their orbits or by the physics. The
+         * physics can only advance so much at a time, so the simulation falls behind when asked to go faster.
+         *
+         * @param {*} dt The time to advance, in days. Negative times go backwards.
+         */
+        step(dt) {
+            if (this.physics) {
+                dt = this.physics.advance(dt);
+            }
+            this.days += dt;
+            this.update();
+            return this;
+        }
+
+        /**
+         * Method that will move the simulation to the given date. The physics, if on, restarts from the bodies'
+         * orbits at that date, as integrating all the way there could take too long.
+         *
+         * @param {*} date The date to jump to.
+         */
+        jumpTo(date) {
+            this.days = (date.getTime() - this.epoch) / MS_PER_DAY;
+            if (this.physics) {
+                this.startPhysics();
+            } else {
+                this.update();
+            }
+        }
+
+        /**
+         * Method that will move and spin all bodies, and move the enabled belts' rocks, to where they are at the current
+         * simulation time.
+         */
+        update() {
+            const jd = this.julianDate;
+            for (const body of this.bodies) {
+                if (this.physics) {
+                    body.updateFromPhysics(this.days);
+                } else {
+                    body.update(this.days, jd, this.realPositions);
+                }
+            }
+            for (const belt of this.belts.filter((belt) => belt.enabled)) {
+                belt.update(this.days);
+            }
+        }
+
+        /**
+         * Method that returns a body's true position in km, relative to the body without a parent it orbits, whatever
+         * the size its orbit is drawn at.
+         *
+         * @param {*} name The body's name.
+         * @returns The ecliptic coordinates (x, y, z) of the body.
+         */
+        truePositionOf(name) {
+            const position = { x: 0, y: 0, z: 0 };
+            for (let body = this.getBody(name); body; body = body.parent) {
+                const offset = body.trueOffset();
+                position.x += offset.x;
+                position.y += offset.y;
+                position.z += offset.z;
+            }
+
+            return position;
+        }
+
+        /**
+         * Method that will start moving the bodies by their mutual gravity, from where they are on their orbits. The
+         * velocities are taken to the system's barycenter, so the system as a whole doesn't drift away.
+         */
+        startPhysics() {
+            this.stopPhysics();
+            this.bodies.forEach((body) => body.startPhysics());
+
+            const totalMass = this.bodies.reduce((total, body) => total + body.mass, 0);
+            const momentum = { x: 0, y: 0, z: 0 };
+            for (const body of this.bodies) {
+                momentum.x += body.mass * body.trueVelocity.x;
+                momentum.y += body.mass * body.trueVelocity.y;
+                momentum.z += body.mass * body.trueVelocity.z;
+            }
+            for (const body of this.bodies) {
+                body.trueVelocity.x -= momentum.x / totalMass;
+                body.trueVelocity.y -= momentum.y / totalMass;
+                body.trueVelocity.z -= momentum.z / totalMass;
+                body.physics = true;
+            }
+
+            this.physics = new NBodyIntegrator(this.bodies);
+            this.update();
+        }
+
+        /**
+         * Method that will stop the physics, moving the bodies back to their orbits.
+         */
+        stopPhysics() {
+            this.physics = undefined;
+            this.bodies.forEach((body) => body.physics = false);
+            this.update();
+        }
+
+        /**
+         * Method that will change a body's mass, which changes the physics from then on.
+         *
+         * @param {*} name The body's name.
+         * @param {*} mass The new mass, in kg.
+         */
+        setMass(name, mass) {
+            this.getBody(name).mass = mass;
+            if (this.physics) {
+                this.physics.massesChanged();
+            }
+        }
+
+        /**
+         * Method that returns where all bodies are at the given time, without changing the simulation. With the
+         * physics on, the bodies are moved there, as many physics steps as it takes, and back again.
+         *
+         * @param {*} t The simulation time, in days since the simulation's epoch.
+         * @returns The ecliptic coordinates (x, y, z) of each body, by name.
+         */
+        positionsAt(t) {
+            if (this.physics) {
+                const days = this.days;
+                const states = this.bodies.map((body) => [Object.assign({}, body.truePosition), Object.assign({}, body.trueVelocity)]);
+                const initialEnergy = this.physics.initialEnergy;
+                const positions = {};
+
+                let remaining = t - days;
+                while (remaining !== 0) {
+                    remaining -= this.physics.advance(remaining);
+                }
+                this.days = t;
+                this.update();
+                this.bodies.forEach((body) => positions[body.name] = Object.assign({}, body.position));
+                this.bodies.forEach((body, i) => [body.truePosition, body.trueVelocity] = states[i]);
+                this.days = days;
+                this.physics.computeAccelerations();
+                this.physics.initialEnergy = initialEnergy;
+                this.update();
+                return positions;
+            }
+
+            const jd = this.julianDateAt(t);
+            const positions = {};
+
+            for (const body of this.bodies) {
+                const position = body.relativePositionAt(t, jd, this.realPositions);
+                if (body.parent) {
+                    const origin = positions[body.parent.name];
+                    position.x += origin.x;
+                    position.y += origin.y;
+                    position.z += origin.z;
+                }
+                positions[body.name] = position;
+            }
+
+            return positions;
+        }
+    }
+
+    return {
+        MS_PER_DAY: MS_PER_DAY,
+        SECONDS_PER_DAY: SECONDS_PER_DAY,
+        HOURS_PER_DAY: HOURS_PER_DAY,
+        Simulation: Simulation,
+        SimulationBody: SimulationBody,
+        NBodyIntegrator: NBodyIntegrator,
+        SimulationBelt: SimulationBelt,
+        GRAVITATIONAL_CONSTANT: GRAVITATIONAL_CONSTANT,
+        seededRandom: seededRandom,
+        deriveSeed: deriveSeed,
+        solveKepler: solveKepler,
+        orbitalPosition: orbitalPosition,
+        orbitalVelocity: orbitalVelocity,
+        julianDate: julianDate,
+        ephemerisElements: ephemerisElements,
+        heliocentricPosition: heliocentricPosition
+    };
+}));
@@ -0,0 +1,451 @@
+/**
+ * File containing the declarative description of the solar system rendered by the simulation.
+ *
+ * Author   : Rodrigo Januario da Silva
+ * Due Date : Feb 15, 2019
+ * File Name: solarSystem.js
+ * Professor: Narendra Pershad
+ */
+
+/**
+ * The solar system description. Every body has its real physical data (radius and orbit semi-major axis
+ * in km, period in days), its orbital elements (angles in degrees, referred to the ecliptic) and a visual block with the corrections applied, so all bodies are visible on the screen.
+ * Moons are declared inside their planet and orbit it, all other bodies declare the body they orbit
+ * through the parent property. Visual values given as [min, max] are picked randomly inside the range.
+ *
+ * Planets also bundle the J2000 Keplerian elements used to place them at their real positions for a given date
+ * (Standish, "Keplerian Elements for Approximate Positions of the Major Planets", JPL, valid from 1800 to 2050).
+ * The elements are [a (AU), e, I, L, long. perihelion, long. ascending node] with angles in degrees and the
+ * rates are their changes per Julian century. Earth's elements are the Earth-Moon barycenter's.
+ *
+ * Rotation periods are sidereal, in hours, and obliquities are the tilts of the rotation axes in degrees. Obliquities
+ * above 90 degrees are retrograde spins. Ring radii are in km and masses, used by the N-body physics, are in kg.
+ *
+ * Comets orbit the sun on their osculating elements near their last perihelion passages, so their real positions
+ * drift away over the decades, as the planets pull them off these orbits. They start at their perihelion when
+ * not placed at their real positions.
+ *
+ * Belts are populations of small rocks orbiting a body, with the ranges (in km and degrees) their orbits are
+ * randomly picked from. On the screen, the rocks' semi-major axes are mapped onto the visual distance range and
+ * the rocks are sized from the visual size range.
+ *
+ * Bodies get a procedural texture, rocky by default or banded for the gas giants, which is replaced by the texture
+ * maps their material points to, if any. Only the Earth and the Moon have maps: see the textures folder.
+ */
+const SOLAR_SYSTEM = {
+    /**
+     * Base values used by the visual corrections. Radii are proportional to the sun's radius and distances
+     * are proportional to Mercury's distance from the sun.
+     */
+    visual: {
+        baseRadius: 695508,
+        baseDistance: 57900000,
+        distanceUnit: 17.5
+    },
+
+    bodies: [
+        {
+            name: 'Sun',
+            type: 'star',
+            radius: 695508,
+            mass: 1.989e30,
+            color: 0xf9d71c,
+            emitsLight: true,
+            rotationPeriod: 609.12,
+            obliquity: 7.25,
+            visual: { radiusProp: 15 }
+        },
+        {
+            name: 'Mercury',
+            type: 'planet',
+            radius: 2440,
+            mass: 3.301e23,
+            color: 0xC5C5C5,
+            parent: 'Sun',
+            semiMajorAxis: 57900000,
+            period: 88,
+            orbit: {
+                eccentricity: 0.20563593,
+                inclination: 7.00497902,
+                longitudeOfAscendingNode: 48.33076593,
+                argumentOfPeriapsis: 29.12703035
+            },
+            ephemeris: {
+                elements: [0.38709927, 0.20563593, 7.00497902, 252.2503235, 77.45779628, 48.33076593],
+                rates: [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]
+            },
+            rotationPeriod: 1407.6,
+            obliquity: 0.03,
+            visual: { radiusProp: 150, distanceProp: 1 }
+        },
+        {
+            name: 'Venus',
+            type: 'planet',
+            radius: 6052,
+            mass: 4.867e24,
+            color: 0xFFFACD,
+            parent: 'Sun',
+            semiMajorAxis: 108160000,
+            period: 224,
+            orbit: {
+                eccentricity: 0.00677672,
+                inclination: 3.39467605,
+                longitudeOfAscendingNode: 76.67984255,
+                argumentOfPeriapsis: 54.92262463
+            },
+            ephemeris: {
+                elements: [0.72333566, 0.00677672, 3.39467605, 181.9790995, 131.60246718, 76.67984255],
+                rates: [0.0000039, -0.00004107, -0.0007889, 58517.81538729, 0.00268329, -0.27769418]
+            },
+            rotationPeriod: 5832.5,
+            obliquity: 177.36,
+            material: { procedural: 'banded' },
+            visual: { radiusProp: 150, distanceProp: 1.5 }
+        },
+        {
+            name: 'Earth',
+            type: 'planet',
+            radius: 6371,
+            mass: 5.972e24,
+            color: 0x1E90FF,
+            parent: 'Sun',
+            semiMajorAxis: 149600000,
+            period: 365.25,
+            orbit: { eccentricity: 0.01671123, argumentOfPeriapsis: 102.93768193 },
+            ephemeris: {
+                elements: [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0],
+                rates: [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0]
+            },
+            rotationPeriod: 23.93,
+            obliquity: 23.44,
+            material: {
+                map: 'textures/earth.jpg',
+                bumpMap: 'textures/earth_bump.png',
+                bumpScale: 0.02,
+                specularMap: 'textures/earth_specular.png',
+                shininess: 15,
+                nightMap: 'textures/earth_night.jpg'
+            },
+            visual: { radiusProp: 150, distanceProp: 1.5 },
+            moons: [
+                {
+                    name: 'Moon',
+                    radius: 1737,
+                    mass: 7.342e22,
+                    color: 0xC5C5C5,
+                    semiMajorAxis: 384400,
+                    period: 27.32,
+                    orbit: { eccentricity: 0.0549, inclination: 5.145 },
+                    rotationPeriod: 655.73,
+                    obliquity: 6.68,
+                    material: { map: 'textures/moon.jpg', bumpMap: 'textures/moon.jpg', bumpScale: 0.01 },
+                    visual: { radiusProp: 160, period: 28 }
+                }
+            ]
+        },
+        {
+            name: 'Mars',
+            type: 'planet',
+            radius: 3397,
+            mass: 6.417e23,
+            color: 0xD2B48C,
+            parent: 'Sun',
+            semiMajorAxis: 227937000,
+            period: 687,
+            orbit: {
+                eccentricity: 0.0933941,
+                inclination: 1.84969142,
+                longitudeOfAscendingNode: 49.55953891,
+                argumentOfPeriapsis: 286.4968315
+            },
+            ephemeris: {
+                elements: [1.52371034, 0.0933941, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+                rates: [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]
+            },
+            rotationPeriod: 24.62,
+            obliquity: 25.19,
+            visual: { radiusProp: 150, distanceProp: 1.75 }
+        },
+        {
+            name: 'Jupiter',
+            type: 'planet',
+            radius: 71492,
+            mass: 1.898e27,
+            color: 0xFFA500,
+            parent: 'Sun',
+            semiMajorAxis: 778369000,
+            period: 4332,
+            orbit: {
+                eccentricity: 0.04838624,
+                inclination: 1.30439695,
+                longitudeOfAscendingNode: 100.47390909,
+                argumentOfPeriapsis: 273.8674023
+            },
+            ephemeris: {
+                elements: [5.202887, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+                rates: [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]
+            },
+            rotationPeriod: 9.93,
+            obliquity: 3.13,
+            rings: { innerRadius: 122500, outerRadius: 129000, color: 0x8a7560, opacity: 0.25 },
+            material: { procedural: 'banded' },
+            visual: { radiusProp: 40, distanceProp: 3.5 },
+            moons: [
+                {
+                    name: 'Io',
+                    radius: 1821,
+                    mass: 8.932e22,
+                    color: 0xC5C5C5,
+                    semiMajorAxis: 421700,
+                    period: 1.769,
+                    orbit: { eccentricity: 0.0041, inclination: 0.05 },
+                    rotationPeriod: 42.46,
+                    visual: { radiusProp: 160, orbitOffset: [3.5, 4.25], period: 125, periodFactor: [0.75, 1.75] }
+                },
+                {
+                    name: 'Europa',
+                    radius: 1561,
+                    mass: 4.800e22,
+                    color: 0xC5C5C5,
+                    semiMajorAxis: 671034,
+                    period: 3.551,
+                    orbit: { eccentricity: 0.0094, inclination: 0.47 },
+                    rotationPeriod: 85.23,
+                    visual: { radiusProp: 160, orbitOffset: [3.5, 4.25], period: 125, periodFactor: [0.75, 1.75] }
+                },
+                {
+                    name: 'Ganymede',
+                    radius: 2634,
+                    mass: 1.482e23,
+                    color: 0xC5C5C5,
+                    semiMajorAxis: 1070412,
+                    period: 7.155,
+                    orbit: { eccentricity: 0.0013, inclination: 0.2 },
+                    rotationPeriod: 171.71,
+                    visual: { radiusProp: 160, orbitOffset: [3.5, 4.25], period: 125, periodFactor: [0.75, 1.75] }
+                },
+                {
+                    name: 'Callisto',
+                    radius: 2410,
+                    mass: 1.076e23,
+                    color: 0xC5C5C5,
+                    semiMajorAxis: 1882709,
+                    period: 16.689,
+                    orbit: { eccentricity: 0.0074, inclination: 0.19 },
+                    rotationPeriod: 400.54,
+                    visual: { radiusProp: 160, orbitOffset: [3.5, 4.25], period: 125, periodFactor: [0.75, 1.75] }
+                },
+                {
+                    name: 'Amalthea',
+                    radius: 84,
+                    mass: 2.08e18,
+                    color: 0xC5C5C5,
+                    semiMajorAxis: 181366,
+                    period: 0.498,
+                    orbit: { eccentricity: 0.0032, inclination: 0.37 },
+                    rotationPeriod: 11.95,
+                    visual: { radiusProp: 160, orbitOffset: [3.5, 4.25], period: 125, periodFactor: [0.75, 1.75] }
+                }
+            ]
+        },
+        {
+            name: 'Saturn',
+            type: 'planet',
+            radius: 60268,
+            mass: 5.683e26,
+            color: 0xF0E68C,
+            parent: 'Sun',
+            semiMajorAxis: 1427034000,
+            period: 10592,
+            orbit: {
+                eccentricity: 0.05386179,
+                inclination: 2.48599187,
+                longitudeOfAscendingNode: 113.66242448,
+                argumentOfPeriapsis: 339.3916439
+            },
+            ephemeris: {
+                elements: [9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+                rates: [-0.0012506, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]
+            },
+            rotationPeriod: 10.66,
+            obliquity: 26.73,
+            rings: { innerRadius: 74500, outerRadius: 140220, color: 0xd8c8a0, opacity: 0.85 },
+            material: { procedural: 'banded' },
+            visual: { radiusProp: 40, distanceProp: 4.5 },
+            moons: [
+                {
+                    name: 'Titan',
+                    radius: 2575,
+                    mass: 1.345e23,
+                    color: 0xC5C5C5,
+                    semiMajorAxis: 1221870,
+                    period: 15.945,
+                    orbit: { eccentricity: 0.0288, inclination: 0.35 },
+                    rotationPeriod: 382.69,
+                    visual: { radiusProp: 160, orbitOffset: [5, 5.75], period: 78, periodFactor: [0.75, 1.75] }
+                },
+                {
+                    name: 'Rhea',
+                    radius: 764,
+                    mass: 2.307e21,
+                    color: 0xC5C5C5,
+                    semiMajorAxis: 527108,
+                    period: 4.518,
+                    orbit: { eccentricity: 0.0012, inclination: 0.35 },
+                    rotationPeriod: 108.44,
+                    visual: { radiusProp: 160, orbitOffset: [5, 5.75], period: 78, periodFactor: [0.75, 1.75] }
+                },
+                {
+                    name: 'Iapetus',
+                    radius: 735,
+                    mass: 1.806e21,
+                    color: 0xC5C5C5,
+                    semiMajorAxis: 3560820,
+                    period: 79.32,
+                    orbit: { eccentricity: 0.0286, inclination: 15.47 },
+                    rotationPeriod: 1903.94,
+                    visual: { radiusProp: 160, orbitOffset: [5, 5.75], period: 78, periodFactor: [0.75, 1.75] }
+                }
+            ]
+        },
+        {
+            name: 'Uranus',
+            type: 'planet',
+            radius: 25559,
+            mass: 8.681e25,
+            color: 0xADD8E6,
+            parent: 'Sun',
+            semiMajorAxis: 2870658000,
+            period: 30681,
+            orbit: {
+                eccentricity: 0.04725744,
+                inclination: 0.77263783,
+                longitudeOfAscendingNode: 74.01692503,
+                argumentOfPeriapsis: 96.9985819
+            },
+            ephemeris: {
+                elements: [19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.9542763, 74.01692503],
+                rates: [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589]
+            },
+            rotationPeriod: 17.24,
+            obliquity: 97.77,
+            rings: { innerRadius: 41800, outerRadius: 51150, color: 0x9fb8c0, opacity: 0.35 },
+            material: { procedural: 'banded' },
+            visual: { radiusProp: 70, distanceProp: 6.25 }
+        },
+        {
+            name: 'Neptune',
+            type: 'planet',
+            radius: 24766,
+            mass: 1.024e26,
+            color: 0xFFA500,
+            parent: 'Sun',
+            semiMajorAxis: 4496976000,
+            period: 60193,
+            orbit: {
+                eccentricity: 0.00859048,
+                inclination: 1.77004347,
+                longitudeOfAscendingNode: 131.78422574,
+                argumentOfPeriapsis: 273.18053653
+            },
+            ephemeris: {
+                elements: [30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+                rates: [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664]
+            },
+            rotationPeriod: 16.11,
+            obliquity: 28.32,
+            material: { procedural: 'banded' },
+            visual: { radiusProp: 70, distanceProp: 7.5 }
+        },
+        {
+            name: 'Pluto',
+            type: 'dwarf',
+            radius: 1185,
+            mass: 1.303e22,
+            color: 0xFFEBCD,
+            parent: 'Sun',
+            semiMajorAxis: 5906375000,
+            period: 90582,
+            orbit: {
+                eccentricity: 0.2488273,
+                inclination: 17.14001206,
+                longitudeOfAscendingNode: 110.30393684,
+                argumentOfPeriapsis: 113.76497945
+            },
+            ephemeris: {
+                elements: [39.48211675, 0.2488273, 17.14001206, 238.92903833, 224.06891629, 110.30393684],
+                rates: [-0.00031596, 0.0000517, 0.00004818, 145.20780515, -0.04062942, -0.01183482]
+            },
+            rotationPeriod: 153.29,
+            obliquity: 122.53,
+            visual: { radiusProp: 300, distanceProp: 8.25 }
+        },
+        {
+            name: 'Halley',
+            type: 'comet',
+            radius: 5.5,
+            mass: 2.2e14,
+            color: 0x8a8580,
+            parent: 'Sun',
+            semiMajorAxis: 2667950000,
+            period: 27508,
+            orbit: {
+                eccentricity: 0.96714,
+                inclination: 162.26,
+                longitudeOfAscendingNode: 58.42,
+                argumentOfPeriapsis: 111.33
+            },
+            ephemeris: {
+                elements: [17.834, 0.96714, 162.26, 236.155, 169.75, 58.42],
+                rates: [0, 0, 0, 478.0, 0, 0]
+            },
+            rotationPeriod: 52.8,
+            visual: { radiusProp: 40000, distanceProp: 1.4 }
+        },
+        {
+            name: 'Encke',
+            type: 'comet',
+            radius: 2.4,
+            mass: 9.2e13,
+            color: 0x7d7873,
+            parent: 'Sun',
+            semiMajorAxis: 331780000,
+            period: 1206.4,
+            orbit: {
+                eccentricity: 0.8471,
+                inclination: 11.78,
+                longitudeOfAscendingNode: 334.57,
+                argumentOfPeriapsis: 186.54
+            },
+            ephemeris: {
+                elements: [2.2178, 0.8471, 11.78, 85.88, 161.11, 334.57],
+                rates: [0, 0, 0, 10899.5, 0, 0]
+            },
+            rotationPeriod: 11,
+            visual: { radiusProp: 100000, distanceProp: 0.8 }
+        }
+    ],
+
+    belts: [
+        {
+            name: 'Asteroid Belt',
+            parent: 'Sun',
+            count: 5000,
+            semiMajorAxis: [314000000, 494000000],
+            eccentricity: [0, 0.15],
+            inclination: [0, 20],
+            color: 0x8c7b6b,
+            visual: { distance: [48, 60], size: [0.1, 0.35] }
+        },
+        {
+            name: 'Kuiper Belt',
+            parent: 'Sun',
+            count: 8000,
+            semiMajorAxis: [4490000000, 7480000000],
+            eccentricity: [0, 0.3],
+            inclination: [0, 30],
+            color: 0x9fb4c7,
+            visual: { distance: [195, 300], size: [0.3, 0.9] }
+        }
+    ]
+};
@@ -0,0 +1,184 @@
+/**
+ * File containing the unit tests of the simulation core, run in Node with: node --test test/
+ *
+ * Author   : Rodrigo Januario da Silva
+ * Due Date : Feb 15, 2019
+ * File Name: simulation.test.js
+ * Professor: Narendra Pershad
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { Simulation, SimulationBelt, GRAVITATIONAL_CONSTANT, seededRandom, deriveSeed, solveKepler, heliocentricPosition } = require('../simulation.js');
+
+/**
+ * The solar system description, which is a browser script declaring a global.
+ */
+const SOLAR_SYSTEM = vm.runInNewContext(`${fs.readFileSync(path.join(__dirname, '..', 'solarSystem.js'), 'utf8')}; SOLAR_SYSTEM`);
+const J2000 = new Date(Date.UTC(2000, 0, 1, 12));
+
+/**
+ * Asserts that two positions are within the given distance of each other.
+ *
+ * @param {*} actual    The position found.
+ * @param {*} expected  The position expected.
+ * @param {*} tolerance The largest distance accepted.
+ */
+function assertClose(actual, expected, tolerance) {
+    const distance = Math.hypot(actual.x - expected.x, actual.y - expected.y, actual.z - expected.z);
+    assert.ok(distance <= tolerance, `(${actual.x}, ${actual.y}, ${actual.z}) is ${distance} away from (${expected.x}, ${expected.y}, ${expected.z}).`);
+}
+
+/**
+ * Asserts that a moon is still close to its orbit around its planet.
+ *
+ * @param {*} moon          The moon's position.
+ * @param {*} planet        The planet's position.
+ * @param {*} semiMajorAxis The moon's orbit semi-major axis, in km.
+ */
+function assertMoonBound(moon, planet, semiMajorAxis) {
+    const distance = Math.hypot(moon.x - planet.x, moon.y - planet.y, moon.z - planet.z);
+    assert.ok(Math.abs(distance - semiMajorAxis) < 0.1 * semiMajorAxis, `The moon is ${distance} km away from its planet.`);
+}
+
+test('solveKepler solves Kepler\'s equation for circular to nearly parabolic orbits', () => {
+    for (const eccentricity of [0, 0.1, 0.5, 0.9, 0.967]) {
+        for (let meanAnomaly = -7; meanAnomaly <= 7; meanAnomaly += 0.5) {
+            const E = solveKepler(meanAnomaly, eccentricity);
+            const M = ((meanAnomaly % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+            assert.ok(Math.abs(E - eccentricity * Math.sin(E) - M) < 1e-10, `e = ${eccentricity}, M = ${meanAnomaly}`);
+        }
+    }
+});
+
+test('heliocentricPosition places the Earth where JPL does at J2000', () => {
+    const earth = SOLAR_SYSTEM.bodies.find((body) => body.name === 'Earth');
+    assertClose(heliocentricPosition(earth.ephemeris, 2451545.0), { x: -0.1772, y: 0.9672, z: 0 }, 1e-3);
+});
+
+test('positionsAt matches the simulation moved to that time, with the physics off', () => {
+    const simulation = Simulation.fromSystem(SOLAR_SYSTEM, J2000);
+    simulation.realPositions = true;
+    const positions = simulation.positionsAt(100);
+
+    assert.strictEqual(simulation.days, 0);
+    simulation.step(100);
+    for (const body of simulation.bodies) {
+        assertClose(positions[body.name], body.position, 1e-6);
+    }
+});
+
+test('positionsAt matches the simulation moved to that time, with the physics on, and leaves it untouched', () => {
+    const simulation = Simulation.fromSystem(SOLAR_SYSTEM, J2000);
+    simulation.startPhysics();
+    const before = simulation.bodies.map((body) => Object.assign({}, body.position));
+    const positions = simulation.positionsAt(10);
+
+    assert.strictEqual(simulation.days, 0);
+    simulation.bodies.forEach((body, i) => assertClose(body.position, before[i], 0));
+    simulation.step(10);
+    for (const body of simulation.bodies) {
+        assertClose(positions[body.name], body.position, 1e-6);
+    }
+    assert.ok(simulation.physics.energyDrift() < 1e-6);
+});
+
+test('the physics never steps longer than the physics step, falling behind long frames instead', () => {
+    const simulation = Simulation.fromSystem(SOLAR_SYSTEM, J2000);
+    simulation.startPhysics();
+    simulation.step(600);
+
+    assert.ok(simulation.days > 0 && simulation.days < 600);
+    assert.ok(simulation.physics.step <= 0.01);
+    assertMoonBound(simulation.getBody('Io').position, simulation.getBody('Jupiter').position, 421700);
+});
+
+test('positionsAt keeps the moons on their orbits over ten years, with the physics on', () => {
+    const simulation = Simulation.fromSystem(SOLAR_SYSTEM, J2000);
+    simulation.startPhysics();
+    const positions = simulation.positionsAt(3650);
+
+    assertMoonBound(positions.Io, positions.Jupiter, 421700);
+    assertMoonBound(positions.Moon, positions.Earth, 384400);
+    assert.strictEqual(simulation.days, 0);
+});
+
+test('seededRandom repeats the same sequence for the same seed, in [0, 1)', () => {
+    const numbers = (seed) => Array.from({ length: 1000 }, seededRandom(seed));
+
+    assert.deepStrictEqual(numbers(42), numbers(42));
+    assert.notDeepStrictEqual(numbers(42), numbers(43));
+    assert.ok(numbers(42).every((number) => number >= 0 && number < 1));
+});
+
+test('deriveSeed gives every key its own seed, with sequences independent from each other', () => {
+    const seeds = ['Earth', 'Mars', 'Asteroid Belt', 'Kuiper Belt'].map((key) => deriveSeed(42, key));
+    assert.strictEqual(new Set(seeds).size, seeds.length);
+    assert.ok(seeds.every((seed) => Number.isInteger(seed) && seed >= 0 && seed < 4294967296));
+    assert.strictEqual(deriveSeed(42, 'Earth'), seeds[0]);
+    assert.notStrictEqual(deriveSeed(43, 'Earth'), seeds[0]);
+
+    // Sequences of different keys don't move together.
+    const earth = Array.from({ length: 10000 }, seededRandom(seeds[0]));
+    const mars = Array.from({ length: 10000 }, seededRandom(seeds[1]));
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const [earthMean, marsMean] = [mean(earth), mean(mars)];
+    const covariance = mean(earth.map((value, i) => (value - earthMean) * (mars[i] - marsMean)));
+    assert.ok(Math.abs(covariance / (1 / 12)) < 0.05, `Correlation of ${covariance * 12}.`);
+});
+
+test('seeded belts are the same for the same seed and differ for other seeds', () => {
+    const sun = SOLAR_SYSTEM.bodies.find((body) => body.name === 'Sun');
+    const definition = SOLAR_SYSTEM.belts.find((belt) => belt.name === 'Asteroid Belt');
+    const belt = (seed) => {
+        const created = new SimulationBelt(definition.name, Object.assign({}, definition, {
+            parent: { mass: sun.mass },
+            count: 500,
+            random: seededRandom(deriveSeed(seed, definition.name))
+        }));
+        created.update(1000);
+        return created;
+    };
+    const [first, again, other] = [belt(42), belt(42), belt(43)];
+
+    for (const property of ['semiMajorAxes', 'eccentricities', 'meanAnomaliesAtEpoch', 'axes', 'positions']) {
+        assert.deepStrictEqual(again[property], first[property], property);
+        assert.notDeepStrictEqual(other[property], first[property], property);
+    }
+});
+
+test('belt rocks orbit with the periods of Kepler\'s third law', () => {
+    const sun = SOLAR_SYSTEM.bodies.find((body) => body.name === 'Sun');
+    const belt = new SimulationBelt('Test Belt', {
+        parent: { mass: sun.mass },
+        count: 100,
+        semiMajorAxis: [149600000, 778369000],
+        eccentricity: [0, 0.2],
+        inclination: [0, 10],
+        random: seededRandom(42)
+    });
+
+    // T^2 / a^3 is the same for all rocks.
+    const keplerConstant = 4 * Math.PI * Math.PI / (GRAVITATIONAL_CONSTANT * sun.mass);
+    belt.periods.forEach((period, i) => {
+        const ratio = period * period / Math.pow(belt.semiMajorAxes[i], 3);
+        assert.ok(Math.abs(ratio / keplerConstant - 1) < 1e-9, `Rock ${i} has T^2 / a^3 = ${ratio}.`);
+    });
+
+    // A rock on the Earth's orbit takes a year, and half of it later it's on the other side of the Sun.
+    const circular = new SimulationBelt('Circular Belt', {
+        parent: { mass: sun.mass },
+        count: 1,
+        semiMajorAxis: [149600000, 149600000],
+        eccentricity: [0, 0],
+        inclination: [0, 0],
+        random: seededRandom(7)
+    });
+    assert.ok(Math.abs(circular.periods[0] - 365.25) < 0.5, `The period is ${circular.periods[0]} days.`);
+    circular.update(0);
+    const start = Array.from(circular.positions);
+    circular.update(circular.periods[0] / 2);
+    circular.positions.forEach((coordinate, axis) => assert.ok(Math.abs(coordinate + start[axis]) < 1e-6));
+});
@@ -0,0 +1,111 @@
+/**
+ * File containing the guided tours played over the solar system simulation.
+ *
+ * Author   : Rodrigo Januario da Silva
+ * Due Date : Feb 15, 2019
+ * File Name: tours.js
+ * Professor: Narendra Pershad
+ */
+
+/**
+ * The guided tours. Each tour is a list of steps the camera flies through, showing the step's caption once it gets
+ * there. The camera's position and target are relative to the focused body, the scene center when no body is
+ * focused, and the camera keeps following that body until the next step. Flights and holds are in seconds.
+ *
+ * Steps can also jump to a date (UTC), set the days per second, the scale mode and the real positions, and hide
+ * bodies: a step listing hidden bodies shows all the other ones. Properties left out keep their current values.
+ * The "Record Step" button on the Tours folder copies the current view as a step, so new tours are easy to write.
+ */
+const TOURS = [
+    {
+        name: 'The Inner Planets',
+        steps: [
+            {
+                caption: 'The Sun holds 99.8% of the solar system\'s mass. Four rocky planets orbit close to it.',
+                focus: 'Sun',
+                position: [-100, 50, 35],
+                flight: 2,
+                hold: 5,
+                timeScale: 30,
+                scaleMode: 'Visual',
+                hidden: []
+            },
+            {
+                caption: 'Mercury, the smallest planet, goes around the Sun in only 88 days.',
+                focus: 'Mercury',
+                position: [2.5, 1, 3],
+                hold: 5,
+                timeScale: 5
+            },
+            {
+                caption: 'Venus is wrapped in thick clouds and spins backwards, slower than it orbits.',
+                focus: 'Venus',
+                position: [5, 2, 6],
+                hold: 5
+            },
+            {
+                caption: 'The Earth and its Moon. The Moon always shows the same face to the Earth.',
+                focus: 'Earth',
+                position: [5, 2.5, 6],
+                hold: 6,
+                timeScale: 2
+            },
+            {
+                caption: 'Mars, the red planet, gets its color from the iron oxide dust on its surface.',
+                focus: 'Mars',
+                position: [3, 1.5, 3.5],
+                hold: 5
+            },
+            {
+                caption: 'Beyond Mars, thousands of rocks make up the asteroid belt.',
+                focus: 'Sun',
+                position: [-60, 80, 90],
+                flight: 4,
+                hold: 6,
+                timeScale: 30
+            }
+        ]
+    },
+    {
+        name: 'Giants and Comets',
+        steps: [
+            {
+                caption: 'Jupiter is more than twice as massive as all the other planets together.',
+                focus: 'Jupiter',
+                position: [18, 9, 22],
+                flight: 4,
+                hold: 6,
+                timeScale: 1,
+                scaleMode: 'Visual',
+                realPositions: false,
+                hidden: []
+            },
+            {
+                caption: 'Saturn\'s rings are made of ice, from dust grains to boulders.',
+                focus: 'Saturn',
+                position: [12, 5, 15],
+                flight: 4,
+                hold: 6
+            },
+            {
+                caption: 'Halley\'s comet, at its 1986 perihelion. Its tail always points away from the Sun.',
+                focus: 'Halley',
+                position: [4, 2, 5],
+                flight: 4,
+                hold: 8,
+                date: '1986-02-09T00:00:00Z',
+                timeScale: 0.5,
+                realPositions: true
+            },
+            {
+                caption: 'Far beyond Neptune, the Kuiper belt holds Pluto and countless icy bodies.',
+                focus: 'Sun',
+                position: [-260, 200, 300],
+                flight: 5,
+                hold: 8,
+                timeScale: 365,
+                realPositions: false
+            }
+        ]
+    }
+];